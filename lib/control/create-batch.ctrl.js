@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Create a batch of new jobs.
+ */
+
+var _ = require('underscore');
+var when = require('when');
+
+var JobItem = require('../model/job.item');
+var BatchModel = require('../model/batch.model');
+
+var noop = function(){};
+
+/**
+ * Create a batch of new jobs Class.
+ *
+ * @param {Kickq.Context} ctx The context of the kickq instance.
+ * @param {string} jobName The job name.
+ * @param {Array} arrayOfData data for each job, one job per item.
+ * @param {Object=} optOpts Job specific options, apply to all jobs.
+ * @param {Function=} optCb callback when jobs are created.
+ * @constructor
+ * @throws {TypeError} if arrayOfData is not an Array or unique options
+ *   are used.
+ */
+var CreateBatch = module.exports = function(ctx, jobName, arrayOfData,
+  optOpts, optCb) {
+
+  if (!Array.isArray(arrayOfData)) {
+    throw new TypeError('Argument "arrayOfData" not an Array');
+  }
+
+  /** @type {Kickq.Context} The context of the kickq instance */
+  this.ctx = ctx;
+
+  /** @type {when.Deferred} The deferred to resolve when save completes */
+  this.defer = when.defer();
+
+  this.name = jobName;
+
+  this.opts = {};
+  this.done = noop;
+
+  /** @type {boolean} if instance has been disposed */
+  this._disposed = false;
+
+  if ( !_.isFunction(optOpts) && _.isObject(optOpts) ) {
+    this.opts = optOpts;
+  }
+
+  if (this.opts.hasOwnProperty('uniqueKey') ||
+    this.opts.hasOwnProperty('jobId')) {
+    throw new TypeError('Options "uniqueKey" and "jobId" are not supported' +
+      ' on batches');
+  }
+
+  if ( _.isFunction(optCb) ) {
+    this.done = optCb;
+  }
+  if ( _.isFunction(optOpts) ) {
+    this.done = optOpts;
+  }
+
+  /** @type {Array.<Kickq.JobItem>} The job items to create */
+  this.jobs = arrayOfData.map(function(data) {
+    var job = new JobItem(ctx);
+    job.name = jobName;
+    if ('undefined' !== typeof(data)) {
+      job.data = data;
+    }
+    job.initialize(this.opts);
+    return job;
+  }, this);
+};
+
+/**
+ * Save the new jobs.
+ *
+ * @return {when.Promise} a promise.
+ */
+CreateBatch.prototype.save = function kickqCreateBatchSave() {
+  var batchModel = new BatchModel(this.ctx, this.jobs);
+
+  batchModel.create().then(this._onSuccess.bind(this),
+    this._onFail.bind(this));
+
+  return this.defer.promise;
+};
+
+/**
+ * Save success callback.
+ *
+ * @private
+ */
+CreateBatch.prototype._onSuccess = function kickqCreateBatchOnSuccess() {
+  if (this._disposed) {
+    return;
+  }
+
+  var publicJobItems = this.jobs.map(function(job) {
+    return job.getPublic();
+  });
+
+  // ground callback exceptions
+  try{
+    this.done(null, publicJobItems);
+  } catch(ex) {
+    this.defer.reject(ex);
+    return;
+  }
+
+  this.defer.resolve(publicJobItems);
+};
+
+/**
+ * Save fail callback.
+ *
+ * @param {Error} ex Error object.
+ * @private
+ */
+CreateBatch.prototype._onFail = function kickqCreateBatchOnFail(ex) {
+  if (this._disposed) {
+    return;
+  }
+
+  // ground callback exceptions
+  try{
+    this.done(ex);
+  } catch(ex) {
+    throw ex;
+  } finally {
+    this.defer.reject(ex);
+  }
+};
+
+/**
+ * Dispose current instance, references, timeouts, everything.
+ *
+ * Instance becomes unusable after this method is invoked.
+ */
+CreateBatch.prototype.dispose = function() {
+  // cut the oxygen
+  this.save = noop;
+
+  this._disposed = true;
+
+  this.jobs = null;
+};
@@ -13,18 +13,23 @@ var noop = function(){};
 /**
  * Create a new job Class.
  *
+ * @param {Kickq.Context} ctx The context of the kickq instance.
  * @param {string} jobName The job name.
  * @param {*=} optData data for the job.
  * @param {Object=} optOpts Job specific options.
  * @param {Function=} optCb callback when job is created.
  * @constructor
  */
-var Create = module.exports = function(jobName, optData, optOpts, optCb) {
+var Create = module.exports = function(ctx, jobName, optData, optOpts,
+  optCb) {
+
+  /** @type {Kickq.Context} The context of the kickq instance */
+  this.ctx = ctx;
 
   /** @type {when.Deferred} The deferred to resolve when save completes */
   this.defer = when.defer();
 
-  this.job = new JobItem();
+  this.job = new JobItem(ctx);
 
   this.name = this.job.name = jobName;
 
@@ -66,7 +71,7 @@ var Create = module.exports = function(jobName, optData, optOpts, optCb) {
  * @return {when.Promise} a promise.
  */
 Create.prototype.save = function kickqCreateSave() {
-  var jobModel = new JobModel(this.job);
+  var jobModel = new JobModel(this.ctx, this.job);
 
   jobModel.create().then(this._onSuccess.bind(this), this._onFail.bind(this));
 
@@ -76,13 +81,17 @@ Create.prototype.save = function kickqCreateSave() {
 /**
  * Save success callback.
  *
+ * @param {Kickq.JobItem} jobItem The created job item, or the existing one
+ *   if the unique key is taken.
  * @private
  */
-Create.prototype._onSuccess = function kickqCreateOnSuccess() {
+Create.prototype._onSuccess = function kickqCreateOnSuccess(jobItem) {
   if (this._disposed) {
     return;
   }
 
+  this.job = jobItem;
+
   var publicJobItem = this.job.getPublic();
 
   // ground callback exceptions
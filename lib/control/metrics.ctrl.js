@@ -3,33 +3,63 @@
  */
 
 var EventEmitter = require('events').EventEmitter;
+var util = require('util');
 var logg = require('logg');
 var log = logg.getLogger('kickq.ctrl.metrics');
 
 var MetricsModel = require('../model/metrics.model');
 
-var metrics = module.exports = new EventEmitter();
+/**
+ * The metrics API of a kickq instance.
+ *
+ * @param {Kickq.Context} ctx The context of the kickq instance.
+ * @constructor
+ * @extends {events.EventEmitter}
+ */
+var Metrics = module.exports = function(ctx) {
+  EventEmitter.call(this);
 
-var metricsModel = MetricsModel.getInstance();
+  /** @type {Kickq.Metrics} The metrics model instance */
+  this._metricsModel = MetricsModel.getInstance(ctx);
 
-// listeners count
-var listeners = {
-  metrics: 0
-};
+  // listeners count
+  this._listeners = {
+    metrics: 0
+  };
+
+  this._metricsOn = false;
+
+  this._eventRelay = this._eventRelay.bind(this);
+
+  // re-transmit events from the metrics models
+  // they get turned on and off as new listeners come and go
+  // for this control.
+  this._metricsModel.on('create', this._eventRelay);
+  this._metricsModel.on('queued', this._eventRelay);
+  this._metricsModel.on('success', this._eventRelay);
+  this._metricsModel.on('fail', this._eventRelay);
+  this._metricsModel.on('progress', this._eventRelay);
+  this._metricsModel.on('expired', this._eventRelay);
+
+  // TODO When supporting lower node versions does not make sense anymore, switch
+  //      to listening on the "removeListener" event.
+  // this.on('removeListener', this._onRemoveListener);
 
-var metricsOn = false;
+  this.on('newListener', this._onNewListener.bind(this));
+};
+util.inherits(Metrics, EventEmitter);
 
-// re-transmit events from the metrics models
-// they get turned on and off as new listeners come and go
-// for this control.
-metrics._eventRelay = function(eventType, publicJobItem) {
-  metrics.emit(eventType, eventType, publicJobItem);
-  metrics.emit('metrics', eventType, publicJobItem);
+/**
+ * Relay an event of the metrics model.
+ *
+ * @param {string} eventType The event type.
+ * @param {Object} publicJobItem The public job item.
+ * @private
+ */
+Metrics.prototype._eventRelay = function(eventType, publicJobItem) {
+  this.emit(eventType, eventType, publicJobItem);
+  this.emit('metrics', eventType, publicJobItem);
 };
-metricsModel.on('create', metrics._eventRelay);
-metricsModel.on('queued', metrics._eventRelay);
-metricsModel.on('success', metrics._eventRelay);
-metricsModel.on('fail', metrics._eventRelay);
 
 /**
  * Triggers whenever a new listener is added.
@@ -37,13 +67,13 @@ metricsModel.on('fail', metrics._eventRelay);
  * @param {string} eventType The event type.
  * @private
  */
-metrics._onNewListener = function(eventType) {
+Metrics.prototype._onNewListener = function(eventType) {
   log.finer('_onNewListener() :: type:', eventType);
 
   switch(eventType) {
   case 'metrics':
-    listeners.metrics++;
-    metrics._metricsStart();
+    this._listeners.metrics++;
+    this._metricsStart();
     break;
   }
 };
@@ -54,18 +84,18 @@ metrics._onNewListener = function(eventType) {
  * @param {string} eventType The event type.
  * @private
  */
-metrics._onRemoveListener = function(eventType) {
+Metrics.prototype._onRemoveListener = function(eventType) {
   log.finer('_onRemoveListener() :: type:', eventType);
   switch(eventType) {
   case 'metrics':
-    if (0 === listeners.metrics) {
+    if (0 === this._listeners.metrics) {
       break;
     }
 
-    listeners.metrics--;
+    this._listeners.metrics--;
 
-    if (0 === listeners.metrics) {
-      metrics._metricsStop();
+    if (0 === this._listeners.metrics) {
+      this._metricsStop();
     }
     break;
   }
@@ -86,37 +116,31 @@ metrics._onRemoveListener = function(eventType) {
  * @return {Object}
  * @override
  */
-metrics.removeListener = function(eventType) {
-  metrics._onRemoveListener(eventType);
+Metrics.prototype.removeListener = function(eventType) {
+  this._onRemoveListener(eventType);
   return EventEmitter.prototype.removeListener.apply(this, arguments);
 };
 
-// TODO When supporting lower node versions does not make sense anymore, switch
-//      to listening on the "removeListener" event.
-// metrics.on('removeListener', metrics._onRemoveListener);
-
-metrics.on('newListener', metrics._onNewListener);
-
 /**
  * Start monitoring metrics.
  *
  * @private
  */
-metrics._metricsStart = function(){
-  log.finer('_metricsStart() :: Init. metricsOn: ', metricsOn);
-  if (metricsOn) {return;}
-  metricsOn = true;
+Metrics.prototype._metricsStart = function(){
+  log.finer('_metricsStart() :: Init. metricsOn: ', this._metricsOn);
+  if (this._metricsOn) {return;}
+  this._metricsOn = true;
 
-  metricsModel.start();
+  this._metricsModel.start();
 };
 /**
  * Stop monitoring metrics.
  *
  * @private
  */
-metrics._metricsStop = function(){
-  if (!metricsOn) {return;}
-  metricsOn = false;
+Metrics.prototype._metricsStop = function(){
+  if (!this._metricsOn) {return;}
+  this._metricsOn = false;
 
-  metricsModel.stop();
+  this._metricsModel.stop();
 };
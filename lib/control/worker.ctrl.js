@@ -1,6 +1,7 @@
 /**
  * @fileoverview Process jobs interface, the Worker.
  */
+var util = require('util');
 var _ = require('underscore');
 var Map = require('collections/map');
 var when = require('when');
@@ -10,7 +11,13 @@ var log = logg.getLogger('kickq.ctrl.Worker');
 var PopJob = require('../model/popjob.model');
 var JobItem = require('../model/job.item');
 var JobModel = require('../model/job.model');
+var Signal = require('../model/signal.model');
+var SemaphoreModel = require('../model/semaphore.model');
+var JobLogModel = require('../model/joblog.model');
+var channels = require('../model/channels');
 var states = require('../model/states');
+var kError = require('../utility/kerror');
+var klogger = require('../utility/klogger');
 
 var noop = function(){};
 
@@ -20,13 +27,18 @@ var processCount = 0;
  * Start processing a job or an array of jobs. This method will also spin
  * up internal scheduler if run for first time.
  *
+ * @param {Kickq.Context} ctx The context of the kickq instance.
  * @param {Array|string} jobName A job name or an array of job names.
  * @param {Object=} optOpts optionally define worker specific options.
  * @param {Function} optCb Callback to invoke.
  * @param {Object|null} context to call the consumerWorkerFn.
  * @constructor
  */
-var Worker = module.exports = function(jobName, optOpts, optCb, optSelf) {
+var Worker = module.exports = function(ctx, jobName, optOpts, optCb,
+  optSelf) {
+
+  /** @type {Kickq.Context} The context of the kickq instance */
+  this.ctx = ctx;
 
   /** @type {Function(string, *, Function)} The consumer worker */
   this.consumerWorkerFn = null;
@@ -44,7 +56,28 @@ var Worker = module.exports = function(jobName, optOpts, optCb, optSelf) {
   this.concurrentJobs = 1;
 
   /** @type {Kickq.PopJob} The fetch model instance */
-  this.popModel = new PopJob();
+  this.popModel = new PopJob(ctx);
+
+  /** @type {Kickq.Signal} The control signals model instance */
+  this.signal = Signal.getInstance(ctx);
+
+  /** @type {Kickq.SemaphoreModel} The global concurrency model instance */
+  this.semaphore = new SemaphoreModel(ctx);
+
+  /** @type {Kickq.JobLogModel} The job logs model instance */
+  this.jobLog = new JobLogModel(ctx);
+
+  /** @type {Array.<string>} Ids of the jobs that capture logger records */
+  this._captureJobIds = [];
+
+  /** @type {Function} bound logger record listener */
+  this._onLogRecord = this._captureLog.bind(this);
+
+  /** @type {Function} bound cancel signal listener */
+  this._onCancelSignal = this._onCancel.bind(this);
+
+  /** @type {Function} bound resume signal listener */
+  this._onResumeSignal = this._onResume.bind(this);
 
   /** @type {boolean} Master throttle switch */
   this._throttleOn = false;
@@ -64,6 +97,24 @@ var Worker = module.exports = function(jobName, optOpts, optCb, optSelf) {
   /** @type {boolean} if instance has been disposed */
   this._disposed = false;
 
+  /** @type {number} Fetches waiting for a job */
+  this._fetching = 0;
+
+  /** @type {boolean} If the master loop stopped as all job names are paused */
+  this._pausedLoop = false;
+
+  /** @type {?number} setTimeout index of the rate limit wait */
+  this._rateLimitTimeout = null;
+
+  /** @type {?when.Deferred} Resolves when shutdown has drained the worker */
+  this._shutdownDefer = null;
+
+  /** @type {?number} setTimeout index of the shutdown timeout */
+  this._shutdownTimeout = null;
+
+  /** @type {number} Processed jobs whose outcome is still being written */
+  this._pendingWrites = 0;
+
   /** @type {number} Times the master loop has run */
   this.loopCount = 0;
 
@@ -85,7 +136,7 @@ var Worker = module.exports = function(jobName, optOpts, optCb, optSelf) {
    */
   this.jobs = new Map();
 
-  this._parseArguments(arguments);
+  this._parseArguments([jobName, optOpts, optCb, optSelf]);
 
   this._configure();
 };
@@ -111,13 +162,17 @@ Worker.param = {
  * spin up the worker.
  */
 Worker.prototype.work = function() {
+  this.signal.start();
+  this.signal.on(channels.Channels.CANCEL, this._onCancelSignal);
+  this.signal.on(channels.Channels.RESUME, this._onResumeSignal);
+
   this.masterLoop();
 };
 
 /**
  * Validate passed arguments.
  *
- * @param  {Array} args Arguments of the contructor.
+ * @param  {Array} args Arguments of the contructor, without the context.
  * @private
  * @throws {Error|TypeError} if invalid arguments.
  */
@@ -185,7 +240,7 @@ Worker.prototype._configure = function() {
  *                        fetch promise, used for tracking concurent requests.
  */
 Worker.prototype.masterLoop = function(optErr) {
-  if (this._disposed) {
+  if (this._disposed || this._shutdownDefer) {
     return;
   }
 
@@ -195,21 +250,120 @@ Worker.prototype.masterLoop = function(optErr) {
     return;
   }
 
+  // all job names paused, resume signal restarts the loop
+  if (this._isPaused()) {
+    log.fine('masterLoop() :: All job names paused: ', this.jobNames);
+    this._pausedLoop = true;
+    return;
+  }
+  this._pausedLoop = false;
+
   this.loopCount++;
   var processingCount = this.processing.keys().length;
 
   log.log(logg.Level.FINEST, 'masterLoop() :: Loop: ' + this.loopCount +
-    ' processing: ' + processingCount + ' concurrent jobs: ' +
-    this.concurrentJobs);
+    ' processing: ' + processingCount + ' fetching: ' + this._fetching +
+    ' concurrent jobs: ' + this.concurrentJobs);
 
+  // fetches already waiting fill a slot each
+  processingCount += this._fetching;
   for (; processingCount < this.concurrentJobs; processingCount++) {
+    this._fetching++;
     this.popModel.fetch( this.jobNames ).then(
-      this._workStart.bind(this),
-      this.masterLoop.bind(this)
+      this._onFetch.bind(this),
+      this._onFetchFail.bind(this)
     ).then(noop, this._onWorkerFail.bind(this));
   }
 };
 
+/**
+ * Triggers when fetching a job succeeds.
+ *
+ * @param {Kickq.JobItem} job A job item.
+ * @private
+ */
+Worker.prototype._onFetch = function(job) {
+  this._fetching--;
+  this._workStart(job);
+};
+
+/**
+ * Triggers when fetching a job fails.
+ *
+ * @param {Error} err The error.
+ * @private
+ */
+Worker.prototype._onFetchFail = function(err) {
+  this._fetching--;
+
+  // paused or skipping an expired job is not an error
+  if (err instanceof kError.Paused || err instanceof kError.Expired) {
+    this.masterLoop();
+    return;
+  }
+
+  // rate limited is not an error either, wait for the window to expire
+  if (err instanceof kError.RateLimited) {
+    this._waitRateLimit(err.wait);
+    return;
+  }
+
+  this.masterLoop(err);
+};
+
+/**
+ * Restart the master loop when the rate limit window expires, concurrent
+ * fetches that got rate limited share the same wait.
+ *
+ * @param {number} wait ms to wait, 0 restarts the loop now.
+ * @private
+ */
+Worker.prototype._waitRateLimit = function(wait) {
+  if (!wait) {
+    this.masterLoop();
+    return;
+  }
+
+  if (this._rateLimitTimeout) {
+    return;
+  }
+
+  log.fine('_waitRateLimit() :: Rate limited, waiting for: ', wait);
+  this._rateLimitTimeout = setTimeout(function() {
+    this._rateLimitTimeout = null;
+    this.masterLoop();
+  }.bind(this), wait);
+};
+
+/**
+ * If all the job names of this worker are paused.
+ *
+ * @return {boolean} yes/no.
+ * @private
+ */
+Worker.prototype._isPaused = function() {
+  return this.jobNames.every(this.signal.isPaused, this.signal);
+};
+
+/**
+ * Triggers when a resume signal is received, restarts the master loop
+ * if it was stopped and the job name concerns this worker. If the loop
+ * still runs for other job names, their fetch returns within
+ * PopModel.param.SKIPPED_FETCH_TIMEOUT and the next one includes the
+ * resumed job name.
+ *
+ * @param {string} jobName The job name.
+ * @private
+ */
+Worker.prototype._onResume = function(jobName) {
+  if (!this._pausedLoop || -1 === this.jobNames.indexOf(jobName)) {
+    return;
+  }
+
+  log.info('_onResume() :: Job name resumed: ', jobName);
+  this.masterLoop();
+};
+
 /**
  * Will throttle calls to the Master Loop for edge cases, e.g. database is down.
  *
@@ -354,14 +508,18 @@ Worker.prototype._workStart = function( job ) {
   // register job
   this.jobs.set(job.id, job);
 
+  if (this.jobLog.isCapturing(job.name)) {
+    this._startCapture(job.id);
+  }
+
   // call worker
   var consumerReturn;
   try {
     consumerReturn = this.consumerWorkerFn.call(
       this.selfObj,
-      job.getPublic(),
+      this._getConsumerJob(job),
       job.data,
-      this._workFinish.bind(this, job)
+      this._onConsumerCallback.bind(this, job)
     );
   } catch (ex) {
     log.fine('_workStart() :: Consumer callback failed. ex: ', ex);
@@ -372,22 +530,185 @@ Worker.prototype._workStart = function( job ) {
   // check for returned promise
   if (when.isPromise(consumerReturn)) {
     consumerReturn.then(
-      this._workFinish.bind(this, job),
+      this._workFinish.bind(this, job, null),
       this._workFinish.bind(this, job)
     );
   }
 };
 
 /**
- * Invoked when consumer worker responds.
+ * Prepare the public job item that gets passed to the consumer worker,
+ * augmented with the processing controls. Controls are not enumerable
+ * so the public job item keeps its properties.
+ *
+ * @param {Kickq.JobItem} job The job item.
+ * @return {Object} The public job item.
+ * @private
+ */
+Worker.prototype._getConsumerJob = function( job ) {
+  var publicJob = job.getPublic();
+
+  Object.defineProperty(publicJob, 'cancelled', {
+    get: function() { return job._cancelled; }
+  });
+  Object.defineProperty(publicJob, 'onCancel', {
+    value: job.onCancel.bind(job)
+  });
+  Object.defineProperty(publicJob, 'log', {
+    value: this._appendLog.bind(this, job)
+  });
+  // the stored progress gives way to the control that reports it
+  delete publicJob.progress;
+  Object.defineProperty(publicJob, 'progress', {
+    value: this._reportProgress.bind(this, job)
+  });
+
+  return publicJob;
+};
+
+/**
+ * Invoked when the consumer worker logs, appends a timestamped line to the
+ * log of the job. The arguments get formatted like console.log() does.
+ * Lines after the job stopped processing are ignored.
+ *
+ * @param {Kickq.JobItem} job The job item.
+ * @param {...*} var_args The values to log.
+ * @return {when.Promise} a promise.
+ * @private
+ */
+Worker.prototype._appendLog = function( job ) {
+  if (this._disposed || !this.processing.has(job.id)) {
+    return when.resolve();
+  }
+
+  var message = util.format.apply(util, _.rest(arguments));
+  var promise = this.jobLog.append(job.id, message);
+  this._trackWrite(promise);
+  return promise;
+};
+
+/**
+ * Start appending the logger records to the log of a job.
+ *
+ * @param {string} jobId The job id.
+ * @private
+ */
+Worker.prototype._startCapture = function( jobId ) {
+  if (0 === this._captureJobIds.length) {
+    klogger.on('message', this._onLogRecord);
+  } else {
+    log.warn('_startCapture() :: Jobs capture concurrently, logger records' +
+      ' get appended to all of them. Set "concurrentJobs" to 1. jobId: ',
+      jobId);
+  }
+  this._captureJobIds.push(jobId);
+};
+
+/**
+ * Stop appending the logger records to the log of a job.
+ *
+ * @param {string} jobId The job id.
+ * @private
+ */
+Worker.prototype._stopCapture = function( jobId ) {
+  var index = this._captureJobIds.indexOf(jobId);
+  if (-1 === index) {
+    return;
+  }
+  this._captureJobIds.splice(index, 1);
+  if (0 === this._captureJobIds.length) {
+    klogger.removeListener('message', this._onLogRecord);
+  }
+};
+
+/**
+ * Triggers on every logger record while jobs capture them. Only records of
+ * INFO and above from loggers outside kickq are kept. Records are process
+ * wide so they get appended to all the capturing jobs, capturing is only
+ * reliable with "concurrentJobs" at 1.
+ *
+ * @param {Object} logRecord The logger record.
+ * @private
+ */
+Worker.prototype._captureLog = function( logRecord ) {
+  if (logg.Level.INFO > logRecord.level) {
+    return;
+  }
+  // kickq's own records, appending must not feed itself either
+  if (0 === String(logRecord.name).indexOf('kickq.')) {
+    return;
+  }
+
+  this._captureJobIds.forEach(function(jobId) {
+    this._trackWrite(this.jobLog.append(jobId, logRecord.message,
+      logRecord.name));
+  }, this);
+};
+
+/**
+ * Invoked when the consumer worker reports progress, stores and publishes
+ * it. Reports after the job stopped processing are ignored.
+ *
+ * @param {Kickq.JobItem} job The job item.
+ * @param {number} percent 0 to 100.
+ * @param {string=} optMessage Optional message, e.g. the current step.
+ * @return {when.Promise} a promise.
+ * @throws {TypeError} if percent is not a number between 0 and 100.
+ * @private
+ */
+Worker.prototype._reportProgress = function( job, percent, optMessage ) {
+  if (!_.isNumber(percent) || isNaN(percent) || 0 > percent || 100 < percent) {
+    throw new TypeError('Progress percent not a number between 0 and 100');
+  }
+
+  if (this._disposed || !this.processing.has(job.id)) {
+    return when.resolve();
+  }
+
+  job.progress = {
+    percent: percent,
+    message: _.isString(optMessage) ? optMessage : null,
+    time: Date.now()
+  };
+
+  var jobModel = new JobModel(this.ctx, job);
+  var promise = jobModel.saveProgress();
+  this._trackWrite(promise);
+  promise.always(jobModel.dispose.bind(jobModel));
+  return promise;
+};
+
+/**
+ * The callback the consumer worker reports with, cb(err, result, done).
+ * The callback used to be cb(err, done), a function is taken as the done
+ * callback only when it comes with exactly two arguments.
  *
  * @param {Kickq.JobItem} job The job item.
  * @param {string=} optErr Optional error message.
+ * @param {*=} optResult Optional result of the job.
+ * @param {Function=} optDone Optional post-processing callback.
+ * @private
+ */
+Worker.prototype._onConsumerCallback = function( job, optErr, optResult,
+  optDone ) {
+  // the job plus the two arguments of the consumer
+  if (3 === arguments.length && _.isFunction(optResult)) {
+    return this._workFinish(job, optErr, null, optResult);
+  }
+  this._workFinish(job, optErr, optResult, optDone);
+};
+
+/**
+ * Invoked when consumer worker responds.
+ *
+ * @param {Kickq.JobItem} job The job item.
+ * @param {string|Error|boolean=} optErr Optional error, a message or an Error.
+ * @param {*=} optResult Optional result of the job, stored on success.
  * @param {Function=} optDone optionally define a callback when post-processing
  *   operations are finished.
  * @private
  */
-Worker.prototype._workFinish = function( job, optErr, optDone ) {
+Worker.prototype._workFinish = function( job, optErr, optResult, optDone ) {
   log.fine('_workFinish() :: Init. jobId: ', job.id, ' Queue:', job.name +
     ' Error: ', optErr, ' processCount:', job._processCount);
 
@@ -401,9 +722,9 @@ Worker.prototype._workFinish = function( job, optErr, optDone ) {
   // get process item
   var processItem = this.processing.get(job.id);
 
-  // The job could have timed out or already be complete (double invocation).
+  // The job could have timed out or already be complete (double invocation),
+  // its slot has been refilled then.
   if ( !(processItem instanceof JobItem.ProcessItem) ) {
-    this.masterLoop();
     return;
   }
 
@@ -416,10 +737,24 @@ Worker.prototype._workFinish = function( job, optErr, optDone ) {
   // unregister job
   this.jobs.delete(job.id);
 
-  // determine success
-  var success = !(_.isString(optErr) && optErr.length);
-  if (_.isBoolean(optErr) && !optErr) {
+  this._releaseSlot(job);
+  this._stopCapture(job.id);
+
+  // determine success, any truthy error other than a boolean fails the job
+  var success = !optErr || _.isBoolean(optErr);
+  if (false === optErr) {
+    success = false;
+  }
+  if (optErr instanceof Error) {
+    optErr = optErr.message;
+  } else if (!success && !_.isBoolean(optErr)) {
+    optErr = String(optErr);
+  }
+
+  // a cancelled job fails whatever the consumer reports
+  if (job._cancelled && success) {
     success = false;
+    optErr = 'job cancelled';
   }
 
   // save process time
@@ -428,6 +763,7 @@ Worker.prototype._workFinish = function( job, optErr, optDone ) {
   // update process state and job item
   if (success) {
     processItem.state = states.Process.SUCCESS;
+    job.result = 'undefined' === typeof optResult ? null : optResult;
   } else {
     processItem.state = states.Process.FAIL;
     processItem.errorMessage = job.lastError = optErr;
@@ -437,10 +773,11 @@ Worker.prototype._workFinish = function( job, optErr, optDone ) {
   job.addProcessItem(processItem);
 
   // update worker model
-  var jobModel = new JobModel(job);
+  var jobModel = new JobModel(this.ctx, job);
 
 
   var processedPromise = jobModel.processed(success);
+  this._trackWrite(processedPromise);
   processedPromise.always( log.fine.bind(log, '_workFinish() :: Model finished' +
     ' process operation.'));
   processedPromise.always( jobModel.dispose.bind(jobModel) );
@@ -448,6 +785,44 @@ Worker.prototype._workFinish = function( job, optErr, optDone ) {
   processedPromise.always( this.masterLoop.bind(this, null) );
 };
 
+/**
+ * Release the global concurrency slot the job holds, if any.
+ *
+ * @param {Kickq.JobItem} job The job item.
+ * @private
+ */
+Worker.prototype._releaseSlot = function( job ) {
+  if (!job._hasSlot) {
+    return;
+  }
+  job._hasSlot = false;
+  this._trackWrite(this.semaphore.release(job.name, job.id));
+};
+
+/**
+ * A process item lost its job, drop it and release any global concurrency
+ * slot the job may hold. (invoked by the guard)
+ *
+ * @param {string} jobId The job id.
+ * @param {Kickq.JobItem.ProcessItem} processItem The process item.
+ */
+Worker.prototype.rogueProcess = function( jobId, processItem ) {
+  log.warn('rogueProcess() :: Dropping process item. jobId: ', jobId);
+
+  clearTimeout(processItem.timeout);
+  this.processing.delete(jobId);
+  this._stopCapture(jobId);
+
+  this.jobNames.forEach(function(jobName) {
+    if (null === this.semaphore.getLimit(jobName)) {
+      return;
+    }
+    this._trackWrite(this.semaphore.release(jobName, jobId));
+  }, this);
+
+  this.masterLoop();
+};
+
 /**
  * Invoked when consumer worker fails to respond
  * during the defined time duration.
@@ -474,23 +849,129 @@ Worker.prototype.processTimeout = function( job ) {
   // unregister job
   this.jobs.delete(job.id);
 
+  this._releaseSlot(job);
+  this._stopCapture(job.id);
+
+  // cancelled jobs that never called back fail as cancelled
+  var lastError = job._cancelled ? 'job cancelled' : 'processing timed out';
+
+  // tell the consumer to stop
+  job.signalCancel();
+
   // save process time
   processItem.processTime = Date.now() - processItem.startTime;
 
   // update process state and job item
   processItem.state = states.Process.GHOST;
-  processItem.errorMessage = job.lastError = 'processing timed out';
+  processItem.errorMessage = job.lastError = lastError;
 
   // update the job with the process item
   job.addProcessItem(processItem);
 
   // update worker model
-  var jobModel = new JobModel(job);
+  var jobModel = new JobModel(this.ctx, job);
   var prom = jobModel.processed(false, true);
+  this._trackWrite(prom);
   prom.always(jobModel.dispose.bind(jobModel));
   prom.always( this.masterLoop.bind(this, null) );
 };
 
+/**
+ * Triggers when a cancel signal is received, if the job is processing on
+ * this worker the consumer is signaled. The job keeps its process slot
+ * until the consumer calls back or the process timeout fires, then it
+ * fails without retrying.
+ *
+ * @param {string} jobId The job id.
+ * @private
+ */
+Worker.prototype._onCancel = function( jobId ) {
+  var job = this.jobs.get(jobId);
+
+  // not ours
+  if ( !(job instanceof JobItem) ) {
+    return;
+  }
+
+  log.info('_onCancel() :: Cancelling job. jobId, Queue: ', job.id, job.name);
+
+  job.signalCancel();
+};
+
+/**
+ * Shutdown the worker gracefully, stops fetching new jobs and waits for the
+ * processing jobs to finish and their outcome to be written. Jobs still
+ * processing when the timeout expires are forced to ghost.
+ *
+ * The worker needs to be disposed after the promise resolves.
+ *
+ * @param {number} timeout Time in ms to wait for processing jobs.
+ * @return {when.Promise} a promise.
+ */
+Worker.prototype.shutdown = function( timeout ) {
+  if (this._shutdownDefer) {
+    return this._shutdownDefer.promise;
+  }
+  log.info('shutdown() :: Init. processing, timeout: ',
+    this.processing.keys().length, timeout);
+
+  this._shutdownDefer = when.defer();
+  this._shutdownTimeout = setTimeout(this._shutdownExpire.bind(this), timeout);
+
+  this._checkDrained();
+
+  return this._shutdownDefer.promise;
+};
+
+/**
+ * Shutdown timeout expired, force the processing jobs to ghost.
+ *
+ * @private
+ */
+Worker.prototype._shutdownExpire = function() {
+  var jobIds = this.jobs.keys();
+  log.warn('_shutdownExpire() :: Forcing processing jobs to ghost: ', jobIds);
+
+  jobIds.forEach(function(jobId) {
+    this.processTimeout(this.jobs.get(jobId));
+  }, this);
+
+  this._checkDrained();
+};
+
+/**
+ * Keep track of the write operations that follow processing a job.
+ *
+ * @param {when.Promise} promise The write operation's promise.
+ * @private
+ */
+Worker.prototype._trackWrite = function( promise ) {
+  this._pendingWrites++;
+  promise.always(function() {
+    this._pendingWrites--;
+    this._checkDrained();
+  }.bind(this));
+};
+
+/**
+ * If shutting down, check if processing and writes are done and resolve.
+ *
+ * @private
+ */
+Worker.prototype._checkDrained = function() {
+  if (!this._shutdownDefer) {
+    return;
+  }
+
+  if (0 < this.processing.keys().length || 0 < this._pendingWrites) {
+    return;
+  }
+
+  clearTimeout(this._shutdownTimeout);
+  this._shutdownTimeout = null;
+  this._shutdownDefer.resolve();
+};
+
 /**
  * Dispose current instance, references, timeouts, everything.
  *
@@ -502,9 +983,17 @@ Worker.prototype.dispose = function() {
 
   this._disposed = true;
 
+  this.signal.removeListener(channels.Channels.CANCEL, this._onCancelSignal);
+  this.signal.removeListener(channels.Channels.RESUME, this._onResumeSignal);
+
   if( this._throttleOn ) {
     clearTimeout(this._throttleTimeout);
   }
+  clearTimeout(this._shutdownTimeout);
+  clearTimeout(this._rateLimitTimeout);
+
+  this.jobs.forEach(this._releaseSlot, this);
+  this._captureJobIds.slice().forEach(this._stopCapture, this);
 
   this.popModel.dispose();
 
@@ -7,7 +7,6 @@ var log = logg.getLogger('kickq.ctrl.WorkerGuard');
 
 var Worker = require('./worker.ctrl.js');
 var JobItem = require('../model/job.item');
-var kconfig = require('../utility/config');
 
 var noop = function(){};
 
@@ -29,7 +28,7 @@ var Guard = module.exports = function(worker) {
   this.worker = worker;
 
   /** @type {number} interval num */
-  this._timeInterval = kconfig.get('guardInterval');
+  this._timeInterval = worker.ctx.config.get('guardInterval');
 
   /** @type {?Object} setInterval return value */
   this._interval = null;
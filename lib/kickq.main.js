@@ -19,35 +19,101 @@
 var EventEmitter = require('events').EventEmitter;
 var fs = require('fs');
 var path = require('path');
+var util = require('util');
 
+var _ = require('underscore');
 var when = require('when');
 var logg = require('logg');
 var log = logg.getLogger('kickq.main');
 
 
-var kconfig = require('./utility/config');
+var Context = require('./utility/context');
 var klogger = require('./utility/klogger');
-var kmetrics = require('./control/metrics.ctrl');
+var Metrics = require('./control/metrics.ctrl');
 var CreateJob = require('./control/create.ctrl');
+var CreateBatch = require('./control/create-batch.ctrl');
 var Worker = require('./control/worker.ctrl');
 // var MetricsModel = require('./model/metrics.model');
 var Queue = require('./model/queue.model');
 var kerror = require('./utility/kerror');
-var kRedis = require('./utility/kredis');
 var JobModel = require('./model/job.model');
 var JobItem = require('./model/job.item');
+var QueryModel = require('./model/query.model');
+var JobLogModel = require('./model/joblog.model');
+var DeadLetterModel = require('./model/deadletter.model');
+var StatsModel = require('./model/stats.model');
+var RecurringModel = require('./model/recurring.model');
 var Scheduler = require('./model/scheduler.model');
+var Signal = require('./model/signal.model');
 var WorkerGuard = require('./control/worker.guard');
 var utils = require('./utility/utilities');
 var states = require('./model/states');
+var priorities = require('./model/priorities');
+var backoff = require('./model/backoff');
+var serializer = require('./model/serializer');
 var kfile = require('./utility/kfile');
 
 var noop = function(){};
 
 /**
- * Exposed kickq API
+ * A kickq instance, has its own config, redis clients, workers, guards and
+ * scheduler.
+ *
+ * @param {Object=} optConfObj Config values to set over the defaults.
+ * @constructor
+ * @extends {events.EventEmitter}
  */
-var kickq = module.exports = new EventEmitter();
+var Kickq = function(optConfObj) {
+  EventEmitter.call(this);
+
+  /** @type {Kickq.Context} The context of the instance */
+  this.ctx = new Context(optConfObj);
+
+  /** @type {Kickq.Metrics} The metrics API */
+  this.metrics = new Metrics(this.ctx);
+
+  // containers for instances.
+  this._createInstances = [];
+  this._workerInstances = [];
+  this._guardInstances = [];
+
+  /** @type {boolean} If the scheduler is running */
+  this._schedulerOn = false;
+
+  /** @type {?Kickq.Scheduler} The scheduler instance */
+  this._scheduler = null;
+};
+util.inherits(Kickq, EventEmitter);
+
+/**
+ * Exposed kickq API, the default instance.
+ */
+var kickq = module.exports = new Kickq();
+
+/**
+ * The config keys of the logging facilities, they are process wide.
+ *
+ * @const {Array.<string>}
+ */
+var LOGGER_KEYS = ['debug', 'loggerConsole', 'loggerLevel', 'loggerSyslog',
+  'loggerFile', 'loggerFilename'];
+
+/**
+ * Create a new kickq instance, independent of the default one. Logging is
+ * process wide and follows the config of the default instance, the logging
+ * config values of other instances are ignored.
+ *
+ * @param {Object=} optConfObj Config values to set over the defaults.
+ * @return {Kickq} A kickq instance.
+ */
+kickq.createInstance = function kickqCreateInstance(optConfObj) {
+  var loggerKeys = _.intersection(_.keys(optConfObj || {}), LOGGER_KEYS);
+  if (loggerKeys.length) {
+    log.warn('createInstance() :: Logging follows the default instance,' +
+      ' ignored config keys: ', loggerKeys.join(', '));
+  }
+  return new Kickq(optConfObj);
+};
 
 // Get Version when needed
 var version;
@@ -63,15 +129,6 @@ kickq.__defineGetter__('version', function(){
 // ignore set
 kickq.__defineSetter__('version', noop);
 
-
-// containers for instances.
-var createInstances = [];
-var workerInstances = [];
-var guardInstances = [];
-
-// config static method
-kickq.config = kconfig.set;
-
 // expose error codes
 kickq.Error = kerror;
 
@@ -90,57 +147,159 @@ kickq.util = utils;
 // expose states enums
 kickq.states = states;
 
+// expose priority levels
+kickq.priorities = priorities;
+
+// expose retry backoff strategies
+kickq.backoff = backoff;
+
+// expose job item serializers
+kickq.serializer = serializer;
+
 // expose Log Levels
 kickq.LogLevel = logg.Level;
 
 // expose Logger
 kickq.logg = logg;
 
-// setup logging facilities
-klogger.init();
+// setup logging facilities, they follow the default instance's config
+klogger.init(kickq.ctx.config);
 
 // setup events emitted
 klogger.on('message', kickq.emit.bind(kickq, 'message'));
 
-// Expose Metrics
-kickq.metrics = kmetrics;
+/**
+ * Invoke the optional callback of an API method when the operation's
+ * promise settles. Exceptions thrown by the callback reject the promise.
+ *
+ * @param {when.Promise} promise The operation's promise.
+ * @param {Function=} optCb optional callback, called with two args:
+ *   err, result.
+ * @param {Object=} optSelf context to invoke callback.
+ * @return {when.Promise} a promise.
+ * @private
+ */
+function callbackify(promise, optCb, optSelf) {
+  var def = when.defer();
+  var cb = optCb || noop;
+
+  promise.then(function(result) {
+    try {
+      cb.call(optSelf, null, result);
+    } catch(ex) {
+      log.error('callbackify() :: callback raised exception: ', ex);
+      def.reject(ex);
+      return;
+    }
+    def.resolve(result);
+  }, function(err) {
+    try {
+      cb.call(optSelf, err);
+    } catch(ex) {
+      log.error('callbackify() :: callback raised exception: ', ex);
+    }
+    def.reject(err);
+  });
 
-var schedulerOn = false;
-var scheduler;
+  return def.promise;
+}
 
-function startScheduler() {
-  if (schedulerOn || !kconfig.get('schedulerOn')) {
+/**
+ * Start the scheduler if not already running and enabled.
+ *
+ * @private
+ */
+Kickq.prototype._startScheduler = function() {
+  if (this._schedulerOn || !this.ctx.config.get('schedulerOn')) {
     return;
   }
-  schedulerOn = true;
+  this._schedulerOn = true;
 
-  scheduler = new Scheduler();
-  scheduler.run();
-}
+  this._scheduler = new Scheduler(this.ctx);
+  this._scheduler.run();
+};
 
 /**
- * Reset kickq back to its original state,
- * disposes all listeners, subscriptions and references.
+ * Dispose all instances, listeners, subscriptions and references.
  *
+ * @private
  */
-kickq.reset = function kickqReset() {
+Kickq.prototype._disposeAll = function() {
   function dispose(inst) { inst.dispose(); }
-  guardInstances.forEach(dispose);
-  createInstances.forEach(dispose);
-  workerInstances.forEach(dispose);
+  this._guardInstances.forEach(dispose);
+  this._createInstances.forEach(dispose);
+  this._workerInstances.forEach(dispose);
 
-  createInstances = [];
-  workerInstances = [];
-  guardInstances = [];
+  this._createInstances = [];
+  this._workerInstances = [];
+  this._guardInstances = [];
 
-  if (schedulerOn) {
-    schedulerOn = false;
-    scheduler.dispose();
+  if (this._schedulerOn) {
+    this._schedulerOn = false;
+    this._scheduler.dispose();
   }
-  kconfig.reset();
-  kRedis.dispose();
+  Signal.getInstance(this.ctx).stop();
+  this.ctx.dispose();
+};
+
+/**
+ * Define values for the config of the instance.
+ *
+ * @param {Object|string} confObj Config object or config key.
+ * @param {*=} optValue value of config if confObj is string.
+ */
+Kickq.prototype.config = function kickqConfig(confObj, optValue) {
+  this.ctx.config.set(confObj, optValue);
 };
 
+/**
+ * Reset kickq back to its original state,
+ * disposes all listeners, subscriptions and references.
+ *
+ */
+Kickq.prototype.reset = function kickqReset() {
+  this._disposeAll();
+  this.ctx.config.reset();
+  this.ctx.retryPolicies = Object.create(null);
+};
+
+/**
+ * Gracefully shut down kickq. Workers stop fetching new jobs, in-flight
+ * jobs are given the timeout to finish and their outcome gets written,
+ * lined up scheduled jobs go back to their schedules. Then all connections
+ * are closed. Jobs still processing when the timeout expires are marked
+ * as timed out so they go through the normal retry / ghost flow.
+ *
+ * @param {Object=} optOpts Options, optional key:
+ *   - timeout {number} ms to wait for in-flight jobs, default is the
+ *       "shutdownTimeout" config value.
+ * @param {Function=} optCb callback when shutdown completes.
+ * @param {Object=} optSelf context to call the callback.
+ * @return {when.Promise} a promise.
+ */
+Kickq.prototype.shutdown = function kickqShutdown(optOpts, optCb, optSelf) {
+  if ('function' === typeof optOpts) {
+    optSelf = optCb;
+    optCb = optOpts;
+    optOpts = {};
+  }
+  var opts = optOpts || {};
+  var timeout = 'number' === typeof opts.timeout ? opts.timeout :
+    this.ctx.config.get('shutdownTimeout');
+
+  log.info('shutdown() :: Init. workers, timeout: ',
+    this._workerInstances.length, timeout);
+
+  var promises = this._workerInstances.map(function(worker) {
+    return worker.shutdown(timeout);
+  });
+  if (this._schedulerOn) {
+    promises.push(this._scheduler.shutdown());
+  }
+
+  var promise = when.all(promises).then(this._disposeAll.bind(this));
+  return callbackify(promise, optCb, optSelf);
+};
 
 /**
  * Create a job.
@@ -152,40 +311,268 @@ kickq.reset = function kickqReset() {
  * @param {Object|null} optSelf context to call the consumerWorkerFn.
  * @return {when.Promise}
  */
-kickq.create = function kickCreate(jobName, optData, optOpts, optCb, optSelf) {
+Kickq.prototype.create = function kickCreate(jobName, optData, optOpts, optCb,
+  optSelf) {
   log.info('create() :: Init. name:', jobName);
-  var createJob = new CreateJob(jobName, optData, optOpts, optCb, optSelf);
-  createInstances.push(createJob);
+  var createJob = new CreateJob(this.ctx, jobName, optData, optOpts, optCb,
+    optSelf);
+  this._createInstances.push(createJob);
   return createJob.save();
 };
 
+/**
+ * Create a batch of jobs of the same name, one job per data item.
+ * All jobs are written in a single redis transaction.
+ *
+ * @param {string} jobName The job name.
+ * @param {Array} arrayOfData data for each job.
+ * @param {Object=} optOpts Job specific options, apply to all jobs.
+ * @param {Function=} optCb callback when jobs are created.
+ * @return {when.Promise} a promise resolving to the Array of job items.
+ */
+Kickq.prototype.createBatch = function kickqCreateBatch(jobName, arrayOfData,
+  optOpts, optCb) {
+  log.info('createBatch() :: Init. name:', jobName);
+  var createBatch = new CreateBatch(this.ctx, jobName, arrayOfData, optOpts,
+    optCb);
+  this._createInstances.push(createBatch);
+  return createBatch.save();
+};
 
 /**
  * Process a job.
  *
+ * The consumer gets invoked with the job, its data and the callback to report
+ * the outcome. The job has a progress(percent, message) function to report
+ * how far processing got, stored on the job and published on the "progress"
+ * channel.
+ * The outcome is reported with cb(err, result) or by returning a promise,
+ * on success the result is stored on the job as "result" and resolves the
+ * hotjob promise along with the job.
+ *
  * @param {Array|string} jobName the name of the job.
  * @param {Object} optOpts Process specific options.
  * @param {Function=} optCb callback when process is done.
  * @return {void} nothing.
  */
-kickq.process = function kickqProcess(jobName, optOpts, optCb) {
+Kickq.prototype.process = function kickqProcess(jobName, optOpts, optCb) {
   log.info('process() :: Init. name:', jobName);
-  var worker = new Worker(jobName, optOpts, optCb);
-  workerInstances.push(worker);
+  var worker = new Worker(this.ctx, jobName, optOpts, optCb);
+  this._workerInstances.push(worker);
   worker.work();
   var workerGuard = new WorkerGuard(worker);
   workerGuard.run();
-  startScheduler();
-  guardInstances.push(workerGuard);
+  this._startScheduler();
+  this._guardInstances.push(workerGuard);
+};
+
+/**
+ * Delete a job, removes the job item and all its traces from queues,
+ * schedules and indexes. Jobs that are processing cannot be deleted.
+ *
+ * @param {string} jobId the job id.
+ * @param {Function=} optCb optional callback, called with one arg: err.
+ * @param {Object=} optSelf context to invoke callback.
+ * @return {when.Promise} a promise.
+ */
+Kickq.prototype.delete = function kickqDelete(jobId, optCb, optSelf) {
+  log.info('delete() :: Init. jobId:', jobId);
+  var jobModel = new JobModel(this.ctx, jobId);
+
+  var promise = jobModel.fetch().then(function(job) {
+    if (states.Job.PROCESSING === job.state) {
+      throw new kerror.Processing(job, 'Cannot delete a processing job,' +
+        ' use cancel()');
+    }
+    return job.delete();
+  });
+  promise.always(jobModel.dispose);
+
+  return callbackify(promise, optCb, optSelf);
+};
+
+/**
+ * Cancel a processing job. The cancel signal reaches the worker processing
+ * the job in any process, the consumer gets notified through the
+ * "cancelled" flag and "onCancel()" hook of the job and the job fails
+ * without retrying.
+ *
+ * @param {string} jobId the job id.
+ * @param {Function=} optCb optional callback, called with one arg: err.
+ * @param {Object=} optSelf context to invoke callback.
+ * @return {when.Promise} a promise.
+ */
+Kickq.prototype.cancel = function kickqCancel(jobId, optCb, optSelf) {
+  log.info('cancel() :: Init. jobId:', jobId);
+  var jobModel = new JobModel(this.ctx, jobId);
+
+  var promise = jobModel.fetch().then(function(job) {
+    if (states.Job.PROCESSING !== job.state) {
+      throw new kerror.InvalidState(job);
+    }
+    Signal.getInstance(this.ctx).cancel(job);
+  }.bind(this));
+  promise.always(jobModel.dispose);
+
+  return callbackify(promise, optCb, optSelf);
 };
 
 /**
- * TODO
+ * Fetch the job and invoke the requeue operation of the job model. Rejects
+ * with InvalidState if a promoted job was not found on its schedule.
  *
- * @return {[type]} [description]
+ * @param {string} jobId the job id.
+ * @param {string} method The job model method, "retry" or "promote".
+ * @param {Function=} optCb optional callback.
+ * @param {Object=} optSelf context to invoke callback.
+ * @return {when.Promise} a promise.
+ * @private
  */
-kickq.delete = function kickqDelete() {
+Kickq.prototype._requeue = function(jobId, method, optCb, optSelf) {
+  var jobModel = new JobModel(this.ctx, jobId);
+
+  var promise = jobModel.fetch().then(function(job) {
+    return jobModel[method]().then(function(requeued) {
+      // the scheduler picked the job up first
+      if (!requeued) {
+        throw new kerror.InvalidState(job);
+      }
+      return job.getPublic();
+    });
+  });
+  promise.always(jobModel.dispose);
 
+  return callbackify(promise, optCb, optSelf);
+};
+
+/**
+ * Queue a job that finally failed to get processed again.
+ *
+ * @param {string} jobId the job id.
+ * @param {Function=} optCb optional callback, called with two args:
+ *   err, jobItem.
+ * @param {Object=} optSelf context to invoke callback.
+ * @return {when.Promise} a promise.
+ */
+Kickq.prototype.retry = function kickqRetry(jobId, optCb, optSelf) {
+  log.info('retry() :: Init. jobId:', jobId);
+  return this._requeue(jobId, 'retry', optCb, optSelf);
+};
+
+/**
+ * Queue a delayed job, or a job scheduled to retry, to get processed now.
+ *
+ * @param {string} jobId the job id.
+ * @param {Function=} optCb optional callback, called with two args:
+ *   err, jobItem.
+ * @param {Object=} optSelf context to invoke callback.
+ * @return {when.Promise} a promise.
+ */
+Kickq.prototype.promote = function kickqPromote(jobId, optCb, optSelf) {
+  log.info('promote() :: Init. jobId:', jobId);
+  return this._requeue(jobId, 'promote', optCb, optSelf);
+};
+
+/**
+ * Move a delayed job to a new point in time.
+ *
+ * @param {string} jobId the job id.
+ * @param {number|Date} runAt JS timestamp or Date to queue the job at.
+ * @param {Function=} optCb optional callback, called with two args:
+ *   err, jobItem.
+ * @param {Object=} optSelf context to invoke callback.
+ * @return {when.Promise} a promise.
+ * @throws {TypeError} if runAt is not a valid timestamp or Date.
+ */
+Kickq.prototype.reschedule = function kickqReschedule(jobId, runAt, optCb,
+  optSelf) {
+  log.info('reschedule() :: Init. jobId, runAt:', jobId, runAt);
+  var timestamp = JobItem.toTimestamp(runAt);
+  var jobModel = new JobModel(this.ctx, jobId);
+
+  var promise = jobModel.fetch().then(function(job) {
+    return jobModel.reschedule(timestamp).then(function() {
+      return job.getPublic();
+    });
+  });
+  promise.always(jobModel.dispose);
+
+  return callbackify(promise, optCb, optSelf);
+};
+
+/**
+ * Register the function that decides if and when a failed job of the job
+ * name gets retried. It runs in the worker process before the outcome is
+ * stored, with two args: the job item and the error the worker reported.
+ *
+ * It returns an Object with the keys:
+ *   - retry {boolean} If the job gets retried, overrides the "retry" and
+ *       "retryTimes" options.
+ *   - delay {number=} ms to wait, if omitted the retry backoff applies.
+ *
+ * Returning nothing, or throwing, falls back to the retry options.
+ * Cancelled jobs are never retried.
+ *
+ * @param {string} jobName The job name.
+ * @param {?Function} policyFn The policy, null to remove it.
+ * @throws {TypeError} if policyFn is not a function or null.
+ */
+Kickq.prototype.retryPolicy = function kickqRetryPolicy(jobName, policyFn) {
+  log.info('retryPolicy() :: Init. name:', jobName);
+
+  if (null === policyFn) {
+    delete this.ctx.retryPolicies[jobName];
+    return;
+  }
+  if ('function' !== typeof policyFn) {
+    throw new TypeError('Argument "policyFn" not a function or null');
+  }
+
+  this.ctx.retryPolicies[jobName] = policyFn;
+};
+
+/**
+ * Pause processing of a job name on all workers of all processes.
+ * Jobs can still be created and get queued.
+ *
+ * @param {string} jobName the job name.
+ * @param {Function=} optCb optional callback, called with one arg: err.
+ * @param {Object=} optSelf context to invoke callback.
+ * @return {when.Promise} a promise.
+ */
+Kickq.prototype.pause = function kickqPause(jobName, optCb, optSelf) {
+  log.info('pause() :: Init. name:', jobName);
+  var promise = Signal.getInstance(this.ctx).pause(jobName);
+  return callbackify(promise, optCb, optSelf);
+};
+
+/**
+ * Resume processing of a paused job name.
+ *
+ * @param {string} jobName the job name.
+ * @param {Function=} optCb optional callback, called with one arg: err.
+ * @param {Object=} optSelf context to invoke callback.
+ * @return {when.Promise} a promise.
+ */
+Kickq.prototype.resume = function kickqResume(jobName, optCb, optSelf) {
+  log.info('resume() :: Init. name:', jobName);
+  var promise = Signal.getInstance(this.ctx).resume(jobName);
+  return callbackify(promise, optCb, optSelf);
+};
+
+/**
+ * Check if a job name is paused.
+ *
+ * @param {string} jobName the job name.
+ * @param {Function=} optCb optional callback, called with two args:
+ *   err, isPaused.
+ * @param {Object=} optSelf context to invoke callback.
+ * @return {when.Promise} a promise resolving to a boolean.
+ */
+Kickq.prototype.isPaused = function kickqIsPaused(jobName, optCb, optSelf) {
+  log.info('isPaused() :: Init. name:', jobName);
+  var promise = Signal.getInstance(this.ctx).fetchPaused(jobName);
+  return callbackify(promise, optCb, optSelf);
 };
 
 /**
@@ -197,11 +584,11 @@ kickq.delete = function kickqDelete() {
  * @param {Object=} optSelf context to invoke callback.
  * @return {when.Promise} a promise.
  */
-kickq.get = function kickqGet(jobId, optCb, optSelf) {
+Kickq.prototype.get = function kickqGet(jobId, optCb, optSelf) {
   log.info('get() :: Init. jobId:', jobId);
   var def = when.defer();
   var cb = optCb || noop;
-  var jobModel = new JobModel(jobId);
+  var jobModel = new JobModel(this.ctx, jobId);
 
   jobModel.fetch().then(function(job){
     var jobPublic = job.getPublic();
@@ -227,5 +614,323 @@ kickq.get = function kickqGet(jobId, optCb, optSelf) {
   return def.promise;
 };
 
+/**
+ * Get many job items in one round trip.
+ *
+ * @param {Array.<string>} jobIds the job ids.
+ * @param {Function=} optCb optional callback, called with two args:
+ *   err, Array of job items. Job ids with no record yield null.
+ * @param {Object=} optSelf context to invoke callback.
+ * @return {when.Promise} a promise.
+ */
+Kickq.prototype.getMany = function kickqGetMany(jobIds, optCb, optSelf) {
+  log.info('getMany() :: Init. jobIds:', jobIds);
+  var queryModel = new QueryModel(this.ctx);
+
+  var promise = queryModel.getMany(jobIds).then(function(jobItems) {
+    return jobItems.map(function(job) {
+      return job && job.getPublic();
+    });
+  });
 
+  return callbackify(promise, optCb, optSelf);
+};
 
+/**
+ * Get the log lines of a job, oldest first. Lines are appended by the
+ * consumer through the "log()" function of the job and, if "jobLogCapture"
+ * is on, by the logger while the job processes. Captured records are INFO
+ * and above from loggers outside kickq. Records are process wide, capture
+ * is only reliable for workers with "concurrentJobs" at 1.
+ *
+ * @param {string} jobId the job id.
+ * @param {Object=} optQuery The query, all keys optional:
+ *   - offset {number} Skip this many lines, default 0.
+ *   - limit {number} Max lines to return, default 100.
+ * @param {Function=} optCb optional callback, called with two args:
+ *   err, Array of line Objects with the keys time, message and logger.
+ * @param {Object=} optSelf context to invoke callback.
+ * @return {when.Promise} a promise.
+ */
+Kickq.prototype.getLogs = function kickqGetLogs(jobId, optQuery, optCb,
+  optSelf) {
+  log.info('getLogs() :: Init. jobId:', jobId);
+  if ('function' === typeof optQuery) {
+    optSelf = optCb;
+    optCb = optQuery;
+    optQuery = null;
+  }
+  var query = optQuery || {};
+
+  var jobLogModel = new JobLogModel(this.ctx);
+  var promise = jobLogModel.fetch(jobId, query.offset, query.limit);
+
+  return callbackify(promise, optCb, optSelf);
+};
+
+/**
+ * List the dead letters of a job name, the jobs that finally failed while
+ * the "deadLetter" option was on, oldest first.
+ *
+ * @param {string} jobName The job name.
+ * @param {Object=} optQuery The query, all keys optional:
+ *   - offset {number} Skip this many dead letters, default 0.
+ *   - limit {number} Max job items to return, default 100.
+ * @param {Function=} optCb optional callback, called with two args:
+ *   err, Array of job items.
+ * @param {Object=} optSelf context to invoke callback.
+ * @return {when.Promise} a promise.
+ */
+Kickq.prototype.deadLetters = function kickqDeadLetters(jobName, optQuery,
+  optCb, optSelf) {
+  log.info('deadLetters() :: Init. name:', jobName);
+  if ('function' === typeof optQuery) {
+    optSelf = optCb;
+    optCb = optQuery;
+    optQuery = null;
+  }
+  var query = optQuery || {};
+  var limit = query.limit || DeadLetterModel.param.LIMIT;
+
+  var deadLetterModel = new DeadLetterModel(this.ctx);
+  var queryModel = new QueryModel(this.ctx);
+  var promise = deadLetterModel.getIds(jobName, query.offset, limit)
+    .then(queryModel.getMany.bind(queryModel))
+    .then(function(jobItems) {
+      return jobItems.filter(Boolean).map(function(job) {
+        return job.getPublic();
+      });
+    });
+
+  return callbackify(promise, optCb, optSelf);
+};
+
+/**
+ * Queue the dead letters of a job name to get processed again as fresh
+ * runs, oldest first. Each replayed job leaves the dead letters, if it
+ * finally fails again it returns to them.
+ *
+ * @param {string} jobName The job name.
+ * @param {Object=} optQuery The query, all keys optional:
+ *   - filter {Function} Called with each job item, return true to replay it.
+ *   - limit {number} Max jobs to replay, default all.
+ * @param {Function=} optCb optional callback, called with two args:
+ *   err, Array of the replayed job items.
+ * @param {Object=} optSelf context to invoke callback.
+ * @return {when.Promise} a promise.
+ */
+Kickq.prototype.replay = function kickqReplay(jobName, optQuery, optCb,
+  optSelf) {
+  log.info('replay() :: Init. name:', jobName);
+  if ('function' === typeof optQuery) {
+    optSelf = optCb;
+    optCb = optQuery;
+    optQuery = null;
+  }
+  var query = optQuery || {};
+  var filterFn = 'function' === typeof query.filter ? query.filter : null;
+
+  var deadLetterModel = new DeadLetterModel(this.ctx);
+  var queryModel = new QueryModel(this.ctx);
+  var promise = deadLetterModel.getIds(jobName)
+    .then(queryModel.getMany.bind(queryModel))
+    .then(function(jobItems) {
+      jobItems = jobItems.filter(function(job) {
+        return job && (!filterFn || filterFn(job.getPublic()));
+      });
+      if (0 < query.limit) {
+        jobItems = jobItems.slice(0, query.limit);
+      }
+
+      return when.all(jobItems.map(function(job) {
+        var jobModel = new JobModel(this.ctx, job);
+        var replayed = jobModel.replay().then(function(requeued) {
+          return requeued ? job.getPublic() : null;
+        });
+        replayed.always(jobModel.dispose);
+        return replayed;
+      }, this));
+    }.bind(this))
+    .then(function(jobs) {
+      return jobs.filter(Boolean);
+    });
+
+  return callbackify(promise, optCb, optSelf);
+};
+
+/**
+ * List job items by job name, state and creation time range. Listings
+ * filtered by job name or state are cached for a few seconds so paging
+ * through them stays cheap, jobs created meanwhile show up after that.
+ *
+ * @param {Object=} optQuery The query, all keys optional:
+ *   - name {string} The job name.
+ *   - state {kickq.states.Job} The job state.
+ *   - from {number|Date} Created on or after.
+ *   - to {number|Date} Created on or before.
+ *   - offset {number} Skip this many matches, default 0.
+ *   - limit {number} Max job items to return, default 100.
+ *   - order {string} "asc" or "desc" by creation time, default "desc".
+ * @param {Function=} optCb optional callback, called with two args:
+ *   err, Array of job items.
+ * @param {Object=} optSelf context to invoke callback.
+ * @return {when.Promise} a promise.
+ */
+Kickq.prototype.list = function kickqList(optQuery, optCb, optSelf) {
+  log.info('list() :: Init.');
+  var queryModel = new QueryModel(this.ctx);
+
+  var promise = queryModel.list(optQuery).then(function(jobItems) {
+    return jobItems.map(function(job) {
+      return job.getPublic();
+    });
+  });
+
+  return callbackify(promise, optCb, optSelf);
+};
+
+/**
+ * Get the statistics of a job name or all job names: jobs waiting in the
+ * process queue ("queued"), counts per state ("waiting", "delayed", "retry",
+ * "ghost", "processing", "success", "fail", "expired") and the age of the
+ * oldest job in the process queue in ms ("oldestAge").
+ *
+ * @param {string=} optJobName the job name, if omitted get all job names.
+ * @param {Function=} optCb optional callback, called with two args:
+ *   err, the stats object or, for all job names, an Object of stats
+ *   objects keyed by job name.
+ * @param {Object=} optSelf context to invoke callback.
+ * @return {when.Promise} a promise.
+ */
+Kickq.prototype.stats = function kickqStats(optJobName, optCb, optSelf) {
+  if ('function' === typeof optJobName) {
+    optSelf = optCb;
+    optCb = optJobName;
+    optJobName = null;
+  }
+  log.info('stats() :: Init. name:', optJobName);
+  var statsModel = new StatsModel(this.ctx);
+
+  var promise;
+  if (optJobName) {
+    promise = statsModel.fetch([optJobName]).then(function(stats) {
+      return stats[optJobName];
+    });
+  } else {
+    promise = statsModel.getNames().then(statsModel.fetch.bind(statsModel));
+  }
+
+  return callbackify(promise, optCb, optSelf);
+};
+
+/**
+ * Create a job of the job name on every occurrence of a cron expression.
+ * Any existing recurring definition of the job name gets replaced.
+ *
+ * Occurrences are created by the scheduler of any process that runs one,
+ * each occurrence exactly once. Occurrences missed while no scheduler ran
+ * are collapsed into one.
+ *
+ * @param {string} jobName The job name.
+ * @param {string} cronExpression The cron expression, e.g. "0 9 * * 1-5".
+ * @param {*=} optData data for each job.
+ * @param {Object=} optOpts Job specific options for each job, plus:
+ *   - tz {string} The timezone of the cron expression, e.g.
+ *       "Europe/Athens", default UTC.
+ * @param {Function=} optCb optional callback, called with two args:
+ *   err, the recurring definition.
+ * @param {Object=} optSelf context to invoke callback.
+ * @return {when.Promise} a promise resolving to the recurring definition,
+ *   it has the keys name, cron, tz, data, opts, createTime and nextRun.
+ * @throws {TypeError} if the cron expression or an option is not valid.
+ */
+Kickq.prototype.every = function kickqEvery(jobName, cronExpression, optData,
+  optOpts, optCb, optSelf) {
+  log.info('every() :: Init. name, cron:', jobName, cronExpression);
+
+  if ('string' !== typeof jobName || 0 === jobName.length) {
+    throw new TypeError('Argument "jobName" not a non empty string');
+  }
+  if ('string' !== typeof cronExpression) {
+    throw new TypeError('Argument "cronExpression" not a string');
+  }
+
+  var opts = {};
+  Object.keys(optOpts || {}).forEach(function(key) {
+    opts[key] = optOpts[key];
+  });
+  var tz = opts.tz || null;
+  delete opts.tz;
+
+  // validate before storing
+  RecurringModel.getNext(cronExpression, tz, Date.now());
+  var jobItem = new JobItem(this.ctx);
+  jobItem.name = jobName;
+  jobItem.initialize(opts);
+
+  var definition = {
+    name: jobName,
+    cron: cronExpression,
+    tz: tz,
+    data: 'undefined' === typeof optData ? null : optData,
+    opts: opts,
+    createTime: Date.now()
+  };
+
+  this._startScheduler();
+
+  var recurringModel = new RecurringModel(this.ctx);
+  return callbackify(recurringModel.save(definition), optCb, optSelf);
+};
+
+/**
+ * Remove the recurring definition of a job name, jobs already created
+ * are not affected.
+ *
+ * @param {string} jobName The job name.
+ * @param {Function=} optCb optional callback, called with two args:
+ *   err, a boolean, false if the job name had no recurring definition.
+ * @param {Object=} optSelf context to invoke callback.
+ * @return {when.Promise} a promise resolving to a boolean.
+ */
+Kickq.prototype.unschedule = function kickqUnschedule(jobName, optCb,
+  optSelf) {
+  log.info('unschedule() :: Init. name:', jobName);
+  var recurringModel = new RecurringModel(this.ctx);
+  return callbackify(recurringModel.remove(jobName), optCb, optSelf);
+};
+
+/**
+ * List the upcoming occurrences of the recurring definitions.
+ *
+ * @param {Object=} optQuery The query, all keys optional:
+ *   - name {string} The job name.
+ *   - limit {number} Max occurrences to list, default 10.
+ * @param {Function=} optCb optional callback, called with two args:
+ *   err, Array of occurrence objects, ordered by time, with the keys name,
+ *   cron, tz and runAt (JS timestamp).
+ * @param {Object=} optSelf context to invoke callback.
+ * @return {when.Promise} a promise.
+ */
+Kickq.prototype.upcoming = function kickqUpcoming(optQuery, optCb, optSelf) {
+  if ('function' === typeof optQuery) {
+    optSelf = optCb;
+    optCb = optQuery;
+    optQuery = null;
+  }
+  var query = optQuery || {};
+  log.info('upcoming() :: Init. name:', query.name);
+
+  var recurringModel = new RecurringModel(this.ctx);
+  var promise = recurringModel.upcoming(query.name, query.limit);
+  return callbackify(promise, optCb, optSelf);
+};
+
+// the API methods of the default instance work detached, e.g.
+// var config = kickq.config; config({...});
+_.keys(Kickq.prototype).forEach(function(method) {
+  if ('_' === method.charAt(0) || !_.isFunction(Kickq.prototype[method])) {
+    return;
+  }
+  kickq[method] = Kickq.prototype[method].bind(kickq);
+});
@@ -0,0 +1,148 @@
+/**
+ * @fileoverview The backoff strategies that decide how long a job waits
+ *   before it gets retried, used by both error and ghost retries.
+ */
+var _ = require('underscore');
+
+var backoff = module.exports = {};
+
+/**
+ * The backoff strategy types.
+ *
+ * @enum {string}
+ */
+backoff.Type = {
+  // always wait the interval
+  FIXED: 'fixed',
+  // wait the interval times the attempt
+  LINEAR: 'linear',
+  // wait the interval doubled on every attempt
+  EXPONENTIAL: 'exponential',
+  // wait the delay listed for the attempt, the last one repeats
+  LIST: 'list'
+};
+
+/**
+ * Resolve a backoff option to a strategy object with the keys:
+ *   - type {backoff.Type} The strategy type.
+ *   - delays {?Array.<number>} ms, the delays of the "list" type.
+ *   - max {?number} ms, the cap of the computed delay.
+ *   - jitter {number} 0 to 1, the fraction of the delay that is randomly
+ *       taken off, spreads retries of jobs that failed together.
+ *
+ * Accepts a type name (e.g. "exponential"), an Array of delays or an
+ * Object with the keys above, where "delays" implies the "list" type.
+ *
+ * @param {string|Array.<number>|Object|null|undefined} option The option.
+ * @return {Object} The strategy object.
+ * @throws {TypeError} if the option is not valid.
+ */
+backoff.normalize = function(option) {
+  var strategy = {
+    type: backoff.Type.FIXED,
+    delays: null,
+    max: null,
+    jitter: 0
+  };
+
+  if (null === option || 'undefined' === typeof option) {
+    return strategy;
+  }
+
+  if (_.isString(option) || Array.isArray(option)) {
+    option = {type: option};
+  }
+  if (!_.isObject(option)) {
+    throw new TypeError('Not a valid backoff: ' + option);
+  }
+
+  var type = option.type;
+  var delays = option.delays;
+  if (Array.isArray(type)) {
+    delays = type;
+    type = backoff.Type.LIST;
+  }
+  if (!type && delays) {
+    type = backoff.Type.LIST;
+  }
+  if (type && !_.contains(_.values(backoff.Type), type)) {
+    throw new TypeError('Not a valid backoff type: ' + type);
+  }
+  strategy.type = type || backoff.Type.FIXED;
+
+  if (backoff.Type.LIST === strategy.type) {
+    if (!Array.isArray(delays) || 0 === delays.length ||
+      !_.every(delays, backoff._isDuration)) {
+      throw new TypeError('Backoff "delays" not a non empty Array of ms');
+    }
+    strategy.delays = delays.slice();
+  }
+
+  if (null !== option.max && 'undefined' !== typeof option.max) {
+    if (!backoff._isDuration(option.max)) {
+      throw new TypeError('Backoff "max" not a valid ms value: ' + option.max);
+    }
+    strategy.max = option.max;
+  }
+
+  if (null !== option.jitter && 'undefined' !== typeof option.jitter) {
+    if (!_.isNumber(option.jitter) || !(0 <= option.jitter &&
+      1 >= option.jitter)) {
+      throw new TypeError('Backoff "jitter" not between 0 and 1: ' +
+        option.jitter);
+    }
+    strategy.jitter = option.jitter;
+  }
+
+  return strategy;
+};
+
+/**
+ * Compute how long to wait before an attempt.
+ *
+ * @param {Object} strategy A strategy object as returned by normalize().
+ * @param {number} interval ms, the base interval.
+ * @param {number} attempt The retry attempt, starting at 1.
+ * @return {number} ms to wait.
+ */
+backoff.getDelay = function(strategy, interval, attempt) {
+  interval = interval >>> 0;
+  attempt = Math.max(1, attempt >>> 0);
+
+  var delay;
+  switch(strategy.type) {
+  case backoff.Type.LINEAR:
+    delay = interval * attempt;
+    break;
+  case backoff.Type.EXPONENTIAL:
+    delay = interval * Math.pow(2, attempt - 1);
+    break;
+  case backoff.Type.LIST:
+    delay = strategy.delays[Math.min(attempt, strategy.delays.length) - 1];
+    break;
+  default:
+    delay = interval;
+    break;
+  }
+
+  if (_.isNumber(strategy.max)) {
+    delay = Math.min(strategy.max, delay);
+  }
+
+  if (strategy.jitter) {
+    delay -= delay * strategy.jitter * Math.random();
+  }
+
+  return Math.round(delay);
+};
+
+/**
+ * Check if a value is a valid duration in ms.
+ *
+ * @param {*} value The value.
+ * @return {boolean} If valid.
+ * @private
+ */
+backoff._isDuration = function(value) {
+  return _.isNumber(value) && isFinite(value) && 0 <= value;
+};
@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Creates a batch of new jobs using a single redis transaction.
+ *
+ */
+var util = require('util');
+var when  = require('when');
+
+var log = require('logg').getLogger('kickq.model.BatchModel');
+
+var Queue = require('./queue.model');
+var JobModel = require('./job.model');
+var Model = require('./model');
+var kError = require('../utility/kerror');
+
+/**
+ * The batch Class.
+ *
+ * @param {Kickq.Context} ctx The context of the kickq instance.
+ * @param {Array.<Kickq.JobItem>} jobItems The new job items.
+ * @constructor
+ * @extends {Kickq.Model}
+ */
+var BatchModel = module.exports = function( ctx, jobItems ) {
+  log.finer('Ctor() :: Init');
+  Model.call(this, ctx);
+
+  if (!Array.isArray(jobItems)) {
+    throw new TypeError('argument not an Array');
+  }
+
+  /** @type {Array.<Kickq.JobItem>} */
+  this.jobs = jobItems;
+};
+util.inherits(BatchModel, Model);
+
+/**
+ * Create all the job items, reserves an id range with one "incrby" and
+ * writes all records, queues and publish events in a single transaction.
+ *
+ * @return {when.Promise} a promise.
+ */
+BatchModel.prototype.create = function() {
+  var def = when.defer();
+  var count = this.jobs.length;
+
+  log.fine('create() :: Init. count: ', count);
+
+  if (0 === count) {
+    def.resolve();
+    return def.promise;
+  }
+
+  // the transaction stores the job items, compress them beforehand
+  var promises = this.jobs.map(function(job) {
+    return job.compress();
+  });
+
+  when.all(promises).then(this._createMulti.bind(this, def));
+
+  return def.promise;
+};
+
+/**
+ * Write the job items in a single redis transaction.
+ *
+ * @param {when.Deferred} def The deferred of the create operation.
+ * @private
+ */
+BatchModel.prototype._createMulti = function(def) {
+  var count = this.jobs.length;
+
+  this.client.incrby( this.NS + ':id', count, function(err, lastId) {
+    if (err) {
+      log.db('_createMulti() :: "incrby" Failed! err: ', err);
+      return def.reject( new kError.Database(err) );
+    }
+
+    var firstId = lastId - count + 1;
+    var multi = this.client.multi();
+
+    try {
+      this.jobs.forEach(function(job, index) {
+        // cast to string
+        job.id = (firstId + index) + '';
+
+        // queueing goes first as it may update the job item
+        var queue = new Queue(this.ctx, job);
+        queue.saveMulti(multi);
+
+        job.createMulti(multi);
+      }, this);
+    } catch(ex) {
+      log.warn('_createMulti() :: Preparing the transaction failed. ex: ', ex);
+      return def.reject(ex);
+    }
+
+    multi.exec(function(err) {
+      if (err) {
+        log.db('_createMulti() :: "exec" Failed! err: ', err);
+        return def.reject( new kError.Database(err) );
+      }
+
+      this._checkHotjobs()
+        .then(this._saveDepends.bind(this))
+        .then(def.resolve, def.reject);
+    }.bind(this));
+  }.bind(this));
+};
+
+/**
+ * Check all the created jobs for the hotjob flag and handle it.
+ *
+ * @return {when.Promise} a promise.
+ * @private
+ */
+BatchModel.prototype._checkHotjobs = function() {
+  var promises = this.jobs.map(function(job) {
+    var queue = new Queue(this.ctx, job);
+    return queue.checkHotjob();
+  }, this);
+
+  return when.all(promises);
+};
+
+/**
+ * Register the created jobs that wait on other jobs.
+ *
+ * @return {when.Promise} a promise.
+ * @private
+ */
+BatchModel.prototype._saveDepends = function() {
+  var promises = this.jobs.map(function(job) {
+    var jobModel = new JobModel(this.ctx, job);
+    return jobModel.saveDepends();
+  }, this);
+
+  return when.all(promises);
+};
@@ -3,8 +3,6 @@
  */
 var channels = module.exports = {};
 
-var kconfig = require('../utility/config');
-
 /**
  * The pubsub channels.
  *
@@ -15,19 +13,25 @@ channels.Channels = {
   QUEUED: 'queued',
   SUCCESS: 'success',
   FAIL: 'fail',
-  DELETE: 'delete'
+  EXPIRED: 'expired',
+  DELETE: 'delete',
+  CANCEL: 'cancel',
+  PAUSE: 'pause',
+  RESUME: 'resume',
+  PROGRESS: 'progress'
 };
 
 /**
  * Return the proper channel name to pubsub.
  *
+ * @param  {string} ns The redis namespace.
  * @param  {channels.Channels} channel The channel.
  * @param  {string=} optVar If channel is variable define the variable part
  *                          here (e.g. kickq:complete:[job name] channel).
  * @return {string} the proper channel to use.
  */
-channels.getKey = function(channel, optVar) {
-  var out = kconfig.get('redisNamespace') + ':' + channel;
+channels.getKey = function(ns, channel, optVar) {
+  var out = ns + ':' + channel;
 
   if (optVar && optVar.length) {
     out += ':' + optVar;
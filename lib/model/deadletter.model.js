@@ -0,0 +1,127 @@
+/**
+ * @fileoverview The dead letters of job names, finally failed jobs kept out
+ *   of purging. Each job name has a sorted set in redis of the failed job ids
+ *   scored by their finish time, the job records stay until replayed or
+ *   deleted.
+ */
+var util = require('util');
+var _ = require('underscore');
+var when  = require('when');
+
+var log = require('logg').getLogger('kickq.model.DeadLetterModel');
+
+var Model = require('./model');
+var kError = require('../utility/kerror');
+
+/**
+ * The Dead Letter Class.
+ *
+ * @param {Kickq.Context} ctx The context of the kickq instance.
+ * @constructor
+ * @extends {Kickq.Model}
+ */
+var DeadLetterModel = module.exports = function(ctx) {
+  log.finer('Ctor() :: Init');
+  Model.call(this, ctx);
+};
+util.inherits(DeadLetterModel, Model);
+
+/**
+ * A map of internal operational parameters.
+ *
+ * @type {Object}
+ */
+DeadLetterModel.param = {
+  // Default count of dead letters when listing
+  LIMIT: 100
+};
+
+/**
+ * Return the dead letters queue of a job name, relative to the namespace.
+ *
+ * @param {string} jobName The job name.
+ * @return {string} The queue.
+ */
+DeadLetterModel.getQueue = function(jobName) {
+  return 'dead-letter:' + jobName;
+};
+
+/**
+ * Return the redis key of the dead letters of a job name.
+ *
+ * @param {string} ns The redis namespace.
+ * @param {string} jobName The job name.
+ * @return {string} The key.
+ */
+DeadLetterModel.getKey = function(ns, jobName) {
+  return ns + ':' + DeadLetterModel.getQueue(jobName);
+};
+
+/**
+ * Check if finally failed jobs of a job name go to the dead letters,
+ * "jobFlags" first.
+ *
+ * @param {string} jobName The job name.
+ * @return {boolean} yes/no.
+ */
+DeadLetterModel.prototype.isEnabled = function(jobName) {
+  var configOpts = this.ctx.config.getJob(jobName);
+  if (configOpts.hasOwnProperty('deadLetter')) {
+    return !!configOpts.deadLetter;
+  }
+  return !!this.ctx.config.get('deadLetter');
+};
+
+/**
+ * Add a finally failed job to the dead letters of its job name.
+ *
+ * @param {Kickq.JobItem} jobItem The job item.
+ * @return {when.Promise} a promise.
+ */
+DeadLetterModel.prototype.add = function(jobItem) {
+  var def = when.defer();
+
+  var score = jobItem.finishTime || Date.now();
+  this.client.zadd(DeadLetterModel.getKey(this.NS, jobItem.name), score,
+    jobItem.id, function(err) {
+    if (err) {
+      log.db('add() :: "zadd" Failed! err: ', err);
+      return def.reject(new kError.Database(err));
+    }
+    def.resolve();
+  });
+
+  return def.promise;
+};
+
+/**
+ * Read the job ids of the dead letters of a job name, oldest first.
+ *
+ * @param {string} jobName The job name.
+ * @param {number=} optOffset Skip this many dead letters, default 0.
+ * @param {number=} optLimit Max job ids to read, default all.
+ * @return {when.Promise} a promise resolving to an Array of job ids.
+ */
+DeadLetterModel.prototype.getIds = function(jobName, optOffset, optLimit) {
+  var def = when.defer();
+
+  var offset = 0;
+  if (_.isNumber(optOffset) && 0 < optOffset) {
+    offset = Math.floor(optOffset);
+  }
+  var stop = -1;
+  if (_.isNumber(optLimit) && 0 < optLimit) {
+    stop = offset + Math.floor(optLimit) - 1;
+  }
+
+  this.client.zrange(DeadLetterModel.getKey(this.NS, jobName), offset, stop,
+    function(err, jobIds) {
+    if (err) {
+      log.db('getIds() :: "zrange" Failed! err: ', err);
+      return def.reject(new kError.Database(err));
+    }
+    def.resolve(jobIds);
+  });
+
+  return def.promise;
+};
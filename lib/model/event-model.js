@@ -11,11 +11,12 @@ var Model = require('./model');
 /**
  * Extends both the Model base class and EventEmitter.
  *
+ * @param {Kickq.Context} ctx The context of the kickq instance.
  * @constructor
  * @extends {Kickq.Model}
  */
-var EventModel = module.exports = function() {
-  Model.call(this);
+var EventModel = module.exports = function(ctx) {
+  Model.call(this, ctx);
   EventEmitter.call(this);
 };
 util.inherits(EventModel, Model);
@@ -11,19 +11,20 @@ var Model = require('./model');
 var states = require('./states');
 var kError = require('../utility/kerror');
 var channels = require('./channels');
-var kRedis = require('../utility/kredis');
+var serializer = require('./serializer');
 
 
 /**
  * The hotjob Class.
  *
+ * @param {Kickq.Context} ctx The context of the kickq instance.
  * @param {Kickq.JobItem} jobItem the job item.
  * @constructor
  * @extends {Kickq.Model}
  */
-var Hotjob = module.exports = function( jobItem ) {
+var Hotjob = module.exports = function( ctx, jobItem ) {
   log.finer('Ctor() :: Init');
-  Model.call(this);
+  Model.call(this, ctx);
 
   /** @type {?redis.CreateClient} redis client to use for pubsub */
   this.clientSub = null;
@@ -38,6 +39,10 @@ var Hotjob = module.exports = function( jobItem ) {
   this.subKeySuccess = null;
   /** @type {?string} the redis subscribe key */
   this.subKeyFail = null;
+  /** @type {?string} the redis subscribe key */
+  this.subKeyProgress = null;
+  /** @type {?string} the redis subscribe key */
+  this.subKeyExpired = null;
 
   /** @type {?number} The timeout index */
   this._timeout = null;
@@ -53,18 +58,28 @@ util.inherits(Hotjob, Model);
  * @return {when.Promise} A promise.
  */
 Hotjob.prototype.check = function() {
-  if ( !this.job.hotjob || states.Job.NEW !== this.job.state) {
+  if ( !this.job.hotjob ) {
+    return when.resolve();
+  }
+  if (states.Job.NEW !== this.job.state &&
+    states.Job.WAITING !== this.job.state) {
     return when.resolve();
   }
 
   // it is a hotjob, get the keys to subscribe to
-  this.subKeySuccess = channels.getKey(channels.Channels.SUCCESS, this.job.name);
-  this.subKeyFail = channels.getKey(channels.Channels.FAIL, this.job.name);
-
-  this.clientSub = kRedis.client(true);
+  this.subKeySuccess = channels.getKey(this.NS, channels.Channels.SUCCESS, this.job.name);
+  this.subKeyFail = channels.getKey(this.NS, channels.Channels.FAIL, this.job.name);
+  this.subKeyProgress = channels.getKey(this.NS, channels.Channels.PROGRESS,
+    this.job.name);
+  this.subKeyExpired = channels.getKey(this.NS, channels.Channels.EXPIRED,
+    this.job.name);
+
+  this.clientSub = this.ctx.redis.client(true);
   this.clientSub.on('message', this._onMessage.bind(this));
   this.clientSub.subscribe(this.subKeySuccess);
   this.clientSub.subscribe(this.subKeyFail);
+  this.clientSub.subscribe(this.subKeyProgress);
+  this.clientSub.subscribe(this.subKeyExpired);
 
   // setup the timeout, multiply seconds to make them ms.
   this._timeout = setTimeout(this._complete.bind(this, new kError.Timeout()),
@@ -88,13 +103,14 @@ Hotjob.prototype._onMessage = function(channel, message) {
   var publicJobItem;
 
   // ensure the channels concerns us
-  var listenTo = [this.subKeySuccess, this.subKeyFail];
+  var listenTo = [this.subKeySuccess, this.subKeyFail, this.subKeyProgress,
+    this.subKeyExpired];
   if ( -1 === listenTo.indexOf(channel)) {
     return;
   }
 
   try {
-    publicJobItem = JSON.parse(message);
+    publicJobItem = serializer.get(this.ctx.config).decode(message);
   } catch(ex) {
     this._complete(new kError.JSON(ex));
     return;
@@ -105,8 +121,14 @@ Hotjob.prototype._onMessage = function(channel, message) {
     return;
   }
 
+  // progress is a notification of the promise
+  if (this.subKeyProgress === channel) {
+    this.def.notify(publicJobItem);
+    return;
+  }
+
   // check if processing failed or not
-  if (this.subKeyFail === channel) {
+  if (this.subKeyFail === channel || this.subKeyExpired === channel) {
     this._complete(publicJobItem.lastError);
   } else {
     this._complete(null, publicJobItem);
@@ -114,7 +136,8 @@ Hotjob.prototype._onMessage = function(channel, message) {
 };
 
 /**
- * Complete and clean this hotjob
+ * Complete and clean this hotjob, the promise resolves with the public job
+ * item, its "result" holds what the consumer computed.
  *
  * @param {Error|null} err Error object or null if done.
  * @param {Object} publicJobItem A publis job item.
@@ -131,6 +154,8 @@ Hotjob.prototype._complete = function(err, publicJobItem) {
   this._timeout = null;
   this.clientSub.unsubscribe(this.subKeySuccess);
   this.clientSub.unsubscribe(this.subKeyFail);
+  this.clientSub.unsubscribe(this.subKeyProgress);
+  this.clientSub.unsubscribe(this.subKeyExpired);
   this.clientSub.end();
   this.clientSub = null;
   if (err) {
@@ -2,28 +2,58 @@
  * @fileoverview A job item.
  */
 var util = require('util');
+var zlib = require('zlib');
 var _ = require('underscore');
 var when = require('when');
 var log = require('logg').getLogger('kickq.model.JobItem');
 
-var kconfig = require('../utility/config');
 var states = require('./states');
+var priorities = require('./priorities');
+var backoff = require('./backoff');
 var kError = require('../utility/kerror');
 var Model = require('./model');
 var channels = require('./channels');
+var serializer = require('./serializer');
+var JobLogModel = require('./joblog.model');
+var DeadLetterModel = require('./deadletter.model');
+
+/**
+ * Deletes the unique key only if it still points to the job id.
+ *
+ * @const {string}
+ */
+var RELEASE_UNIQUE_SCRIPT = 'if redis.call("get", KEYS[1]) == ARGV[1] then' +
+  ' return redis.call("del", KEYS[1]) end return 0';
+
+/**
+ * The fields of the job item that get compressed when stored, if their
+ * serialized size exceeds the "compressThreshold" config value.
+ *
+ * @const {Array.<string>}
+ */
+var COMPRESS_FIELDS = ['data', 'result'];
+
+/**
+ * The fields of the job item that hold consumer values, dropped when the job
+ * item fails to serialize.
+ *
+ * @const {Array.<string>}
+ */
+var PAYLOAD_FIELDS = ['data', 'result', 'progress'];
 
 /**
  * The Job object
  *
+ * @param {Kickq.Context} ctx The context of the kickq instance.
  * @param {Object=} optJobItem optionally define a job item object
  *                             as returned by the database to fill up
  *                             this instance values.
  * @constructor
  * @extends {Kickq.Model}
  */
-var JobItem = module.exports = function(optJobItem) {
+var JobItem = module.exports = function(ctx, optJobItem) {
   log.finer('Ctor() :: Init');
-  Model.apply(this, arguments);
+  Model.call(this, ctx);
 
   /** @type {?string} the job id. */
   this.id = null;
@@ -52,6 +82,15 @@ var JobItem = module.exports = function(optJobItem) {
   /** @type {?number} If this job will get delayed before it's queued. */
   this.delay = null;
 
+  /** @type {?number} JS timestamp to queue the job at, trumps delay. */
+  this.runAt = null;
+
+  /** @type {?number} ms after creation the job expires if not started. */
+  this.expireAfter = null;
+
+  /** @type {?number} JS timestamp the job expires at if not started. */
+  this.deadline = null;
+
   /** @type {number} ms, 10 seconds to wait for a worker to complete processing. */
   this.processTimeout = 10000;
 
@@ -64,12 +103,24 @@ var JobItem = module.exports = function(optJobItem) {
   /** @type {number} ms, 30minutes of interval between retrying. */
   this.retryInterval = 1800000;
 
+  /** @type {Object} How the interval grows between retries, see backoff. */
+  this.retryBackoff = backoff.normalize(null);
+
   /** @type {boolean} */
   this.hotjob = false;
 
   /** @type {number} ms, 10 seconds. */
   this.hotjobTimeout = 10000;
 
+  /** @type {kickq.priorities.Level} Higher priorities get processed first */
+  this.priority = priorities.Level.NORMAL;
+
+  /** @type {?string} While not complete no other job with this key exists */
+  this.uniqueKey = null;
+
+  /** @type {Array.<string>} Job ids that must succeed before queueing */
+  this.dependsOn = [];
+
   /** @type {boolean} Enable retrying ghost jobs */
   this.ghostRetry = true;
 
@@ -79,19 +130,35 @@ var JobItem = module.exports = function(optJobItem) {
   /** @type {number} milliseconds of interval between retrying */
   this.ghostInterval = 1800000;
 
+  /** @type {Object} How the interval grows between ghost retries */
+  this.ghostBackoff = backoff.normalize(null);
+
   /** @type {*} Any type, passed data on job creation. */
   this.data = null;
 
+  /** @type {*} Any type, the result the consumer reported on success. */
+  this.result = null;
+
   /** @type {?string} Last processing error as defined by consumer  */
   this.lastError = null;
 
   /** @type {?number} JS timestamp of when this job has been scheduled for */
   this.scheduledFor = null;
 
+  /** @type {?number} JS timestamp of the retry the backoff scheduled */
+  this.nextAttemptTime = null;
+
+  /**
+   * @type {?Object} The latest progress the consumer reported, with the keys
+   *   percent, message and time.
+   */
+  this.progress = null;
+
   /**
    *
    * the state can be one of:
    *   - new
+   *   - waiting :: Held until all the jobs it depends on succeed
    *   - queued :: A job has been queued for re-processing
    *   - delayed
    *   - processing
@@ -99,6 +166,7 @@ var JobItem = module.exports = function(optJobItem) {
    *   - ghost   :: A re-process state when callback does not report.
    *   - success :: 'complete' flag is true
    *   - fail    :: 'complete' flag is true
+   *   - expired :: 'complete' flag is true, did not start before its deadline
    *
    * @type {Kickq.states.Job}
    */
@@ -126,6 +194,18 @@ var JobItem = module.exports = function(optJobItem) {
   /** @type {?when.Promise} The hotjob's promise object is referenced here */
   this._hotjobPromise = null;
 
+  /** @type {boolean} If processing of the job has been cancelled */
+  this._cancelled = false;
+
+  /** @type {Array.<Function>} Handlers to invoke when cancelled */
+  this._cancelHandlers = [];
+
+  /** @type {boolean} If processing holds a global concurrency slot */
+  this._hasSlot = false;
+
+  /** @type {Object} last compressed value per field, saves reuse it. */
+  this._compressCache = Object.create(null);
+
   // Check if a jobItem has been passed as argument and use it
   if (_.isObject(optJobItem)) {
     this._useItem(optJobItem);
@@ -151,16 +231,20 @@ JobItem.prototype.initialize = function( options ) {
     'retry',
     'retryTimes',
     'retryInterval',
+    'retryBackoff',
     'ghostRetry',
     'ghostTimes',
     'ghostInterval',
+    'ghostBackoff',
     'hotjob',
     'hotjobTimeout',
-    'processTimeout'
+    'processTimeout',
+    'expireAfter',
+    'priority'
   ];
 
   // Get "per job" specific config options
-  var configOpts = kconfig.getJob(this.name);
+  var configOpts = this.ctx.config.getJob(this.name);
 
   // examine existence and assign to job.
   optsExamine.forEach(function(prop){
@@ -182,15 +266,195 @@ JobItem.prototype.initialize = function( options ) {
     }
 
     // Finally get global config options
-    this[prop] = kconfig.get(prop);
+    this[prop] = this.ctx.config.get(prop);
   }, this);
 
+  this.priority = priorities.normalize(this.priority);
+  this.retryBackoff = backoff.normalize(this.retryBackoff);
+  this.ghostBackoff = backoff.normalize(this.ghostBackoff);
+
+  this._initUnique(options);
+  this._initDepends(options);
+  this._initDeadline(options);
+
+  if (options.hasOwnProperty('runAt')) {
+    this.runAt = JobItem.toTimestamp(options.runAt);
+  }
+
   // determine original state
-  if (_.isNumber(this.delay)) {
+  if (this.dependsOn.length) {
+    this.state = states.Job.WAITING;
+  } else if (this.isDelayed()) {
     this.state = states.Job.DELAYED;
   }
 };
 
+/**
+ * Cast a point in time to a JS timestamp.
+ *
+ * @param {number|Date} value A JS timestamp or a Date.
+ * @return {number} JS timestamp.
+ * @throws {TypeError} if not a valid timestamp or Date.
+ */
+JobItem.toTimestamp = function(value) {
+  var timestamp = _.isDate(value) ? value.getTime() : value;
+  if (!_.isNumber(timestamp) || !_.isFinite(timestamp)) {
+    throw new TypeError('Not a valid timestamp or Date: ' + value);
+  }
+  return timestamp;
+};
+
+/**
+ * Check if the job gets delayed before it's queued, either by the "delay"
+ * or the "runAt" option.
+ *
+ * @return {boolean} If the job gets delayed.
+ */
+JobItem.prototype.isDelayed = function() {
+  return _.isNumber(this.delay) || _.isNumber(this.runAt);
+};
+
+/**
+ * Decompress the fields of a stored job item listed in its "compressed"
+ * key, items stored uncompressed are resolved as is.
+ *
+ * @param {Object} item The decoded stored job item, gets mutated.
+ * @param {Object} codec The serializer the item was stored with.
+ * @return {when.Promise} a promise resolving to the item, rejected if a
+ *   field failed to decompress or decode.
+ */
+JobItem.decompress = function(item, codec) {
+  if (!_.isArray(item.compressed)) {
+    return when.resolve(item);
+  }
+
+  var promises = item.compressed.map(function(field) {
+    var def = when.defer();
+
+    var buffer;
+    try {
+      buffer = new Buffer(item[field], 'base64');
+    } catch(ex) {
+      def.reject(ex);
+      return def.promise;
+    }
+
+    zlib.inflate(buffer, function(err, value) {
+      if (err) {
+        return def.reject(err);
+      }
+      try {
+        item[field] = codec.decode(value.toString());
+      } catch(ex) {
+        return def.reject(ex);
+      }
+      def.resolve();
+    });
+
+    return def.promise;
+  });
+
+  return when.all(promises).then(function() {
+    delete item.compressed;
+    return item;
+  });
+};
+
+/**
+ * Check if the job is past its deadline.
+ *
+ * @return {boolean} If the job has expired.
+ */
+JobItem.prototype.isExpired = function() {
+  return _.isNumber(this.deadline) && Date.now() > this.deadline;
+};
+
+/**
+ * Apply the "expireAfter" and "deadline" options, the earliest of the two
+ * becomes the deadline.
+ *
+ * @param {Object} options Job Options object as passed by the consumer.
+ * @throws {TypeError} if "expireAfter" is not a positive number or
+ *   "deadline" not a valid timestamp or Date.
+ * @private
+ */
+JobItem.prototype._initDeadline = function(options) {
+  var deadline = null;
+  if (options.hasOwnProperty('deadline') && null !== options.deadline) {
+    deadline = JobItem.toTimestamp(options.deadline);
+  }
+
+  if (null !== this.expireAfter && 'undefined' !== typeof this.expireAfter) {
+    if (!_.isNumber(this.expireAfter) || isNaN(this.expireAfter) ||
+      0 >= this.expireAfter) {
+      throw new TypeError('Option "expireAfter" not a positive number: ' +
+        this.expireAfter);
+    }
+    var expireTime = this.createTime + this.expireAfter;
+    deadline = null === deadline ? expireTime : Math.min(deadline, expireTime);
+  } else {
+    this.expireAfter = null;
+  }
+
+  this.deadline = deadline;
+};
+
+/**
+ * Apply the "jobId" and "uniqueKey" options. A caller supplied job id is
+ * also the unique key, unless one is defined.
+ *
+ * @param {Object} options Job Options object as passed by the consumer.
+ * @throws {TypeError} if an option is not a non empty string or the job id
+ *   is numeric and could collide with generated ids.
+ * @private
+ */
+JobItem.prototype._initUnique = function(options) {
+  if (options.hasOwnProperty('jobId')) {
+    if (!_.isString(options.jobId) || 0 === options.jobId.length) {
+      throw new TypeError('Option "jobId" not a non empty string');
+    }
+    if (/^[0-9]+$/.test(options.jobId)) {
+      throw new TypeError('Option "jobId" cannot be numeric: ' +
+        options.jobId);
+    }
+    this.id = options.jobId;
+    this.uniqueKey = options.jobId;
+  }
+
+  if (options.hasOwnProperty('uniqueKey')) {
+    if (!_.isString(options.uniqueKey) || 0 === options.uniqueKey.length) {
+      throw new TypeError('Option "uniqueKey" not a non empty string');
+    }
+    this.uniqueKey = options.uniqueKey;
+  }
+};
+
+/**
+ * Apply the "dependsOn" option, duplicate job ids are dropped.
+ *
+ * @param {Object} options Job Options object as passed by the consumer.
+ * @throws {TypeError} if the option is not an Array of non empty strings.
+ * @private
+ */
+JobItem.prototype._initDepends = function(options) {
+  if (!options.hasOwnProperty('dependsOn')) {
+    return;
+  }
+
+  var dependsOn = options.dependsOn;
+  if (!Array.isArray(dependsOn)) {
+    throw new TypeError('Option "dependsOn" not an Array');
+  }
+  dependsOn.forEach(function(jobId) {
+    if (!_.isString(jobId) || 0 === jobId.length) {
+      throw new TypeError('Option "dependsOn" contains an invalid job id: ' +
+        jobId);
+    }
+  });
+
+  this.dependsOn = _.uniq(dependsOn);
+};
+
 /**
  * A processing item, contains information for each processing of a job.
  *
@@ -254,7 +518,8 @@ JobItem.prototype.getPublic = function() {
     if (0 <= [
         'client',
         'clientSub',
-        'NS'
+        'NS',
+        'ctx'
       ].indexOf(key)) {
         return;
       }
@@ -268,19 +533,30 @@ JobItem.prototype.getPublic = function() {
 };
 
 /**
- * Serialize the public object. This method will guarantee a returned JSON
- * value, if standard JSON stringify fails a custom minimum object
- * will be serialized instead.
+ * Serialize the public object with the configured serializer. If it fails
+ * the consumer values ("data", "result", "progress") are dropped so the job
+ * survives, if that fails too a custom minimum JSON object is returned.
  *
  * @return {!string} Always string no errors thrown.
  */
 JobItem.prototype.getPublicJSON = function() {
+  var codec = serializer.get(this.ctx.config);
+  var publicItem = this.getPublic();
   var serialized;
   try {
-    serialized = JSON.stringify(this.getPublic());
+    serialized = codec.encode(publicItem);
   } catch(ex) {
-    // create minimum viable object
-    serialized = '{"id":"' + this.id + '"}';
+    log.error('getPublicJSON() :: Job item failed to serialize, dropping its' +
+      ' values. jobId, ex: ', this.id, ex);
+    PAYLOAD_FIELDS.forEach(function(field) {
+      publicItem[field] = null;
+    });
+    try {
+      serialized = codec.encode(publicItem);
+    } catch(exc) {
+      // create minimum viable object
+      serialized = '{"id":"' + this.id + '"}';
+    }
   }
   return serialized;
 };
@@ -320,48 +596,207 @@ JobItem.prototype.setHotjobPromise = function(promise) {
 };
 
 /**
- * Save the job item.
+ * Register a handler to be invoked when processing of this job gets
+ * cancelled. If the job is already cancelled the handler is invoked at once.
  *
- * @return {when.Promise} A promise.
+ * @param {Function} fn The handler.
+ * @throws {TypeError} if argument not a function.
  */
-JobItem.prototype.save = function() {
-  log.fine('save() :: Init. jobId, state, Queue:', this.id, this.state, this.name);
-  var def = when.defer();
+JobItem.prototype.onCancel = function(fn) {
+  if (!_.isFunction(fn)) {
+    throw new TypeError('argument not a function');
+  }
 
-  var key = this._getKey();
+  if (this._cancelled) {
+    fn();
+    return;
+  }
 
-  // prep job item for save
-  this.updateTime = Date.now();
+  this._cancelHandlers.push(fn);
+};
 
-  var itemDataJson;
-  try {
-    itemDataJson = this.getPublicJSON();
-  } catch(ex) {
-    return def.reject(new kError.JSON(ex));
+/**
+ * Signal that processing of this job should stop, flags the job as cancelled
+ * and invokes all registered cancel handlers once.
+ */
+JobItem.prototype.signalCancel = function() {
+  if (this._cancelled) {
+    return;
   }
+  this._cancelled = true;
+
+  var handlers = this._cancelHandlers;
+  this._cancelHandlers = [];
+  handlers.forEach(function(fn) {
+    try {
+      fn();
+    } catch(ex) {
+      log.warn('signalCancel() :: Cancel handler raised exception. jobId, ex: ',
+        this.id, ex);
+    }
+  }, this);
+};
 
-  var redisJobItem = {
+/**
+ * Prepare the job item for save and return the hash to store in redis.
+ *
+ * @return {Object} The redis hash of the job item.
+ */
+JobItem.prototype.getRedisItem = function() {
+  this.updateTime = Date.now();
+
+  return {
     id: this.id,
     name: this.name,
     createTime: this.createTime,
     updateTime: this.updateTime,
     state: this.state,
-    itemData: itemDataJson
+    itemData: this._getItemData()
   };
+};
 
-  this.client.hmset( key, redisJobItem, function(err) {
-    if (err) {
-      log.db('save() :: "hmset" failed. err: ', err);
-      return def.reject(new kError.Database(err));
+/**
+ * Compress the large fields of the job item ahead of storing it, the
+ * compressed values get cached for "getRedisItem()". Fields that failed
+ * to compress are stored as is.
+ *
+ * @return {when.Promise} a promise, never rejected.
+ */
+JobItem.prototype.compress = function() {
+  var threshold = this._getCompressThreshold();
+  if (null === threshold) {
+    return when.resolve();
+  }
+
+  var codec = serializer.get(this.ctx.config);
+  var publicItem = this.getPublic();
+  var promises = COMPRESS_FIELDS.map(function(field) {
+    var def = when.defer();
+
+    var value;
+    try {
+      value = codec.encode(publicItem[field]);
+    } catch(ex) {
+      // "_getItemData()" falls back to the public JSON
+      value = null;
     }
-    def.resolve();
-  });
+    var cache = this._compressCache[field];
+    if ('string' !== typeof value || threshold >= Buffer.byteLength(value) ||
+      (cache && cache.serialized === value)) {
+      def.resolve();
+      return def.promise;
+    }
+
+    zlib.deflate(value, function(err, buffer) {
+      if (err) {
+        log.warn('compress() :: Compression failed. jobId, field, err: ',
+          this.id, field, err);
+      } else {
+        this._compressCache[field] = {
+          serialized: value,
+          encoded: buffer.toString('base64')
+        };
+      }
+      def.resolve();
+    }.bind(this));
+
+    return def.promise;
+  }, this);
+
+  return when.all(promises);
+};
+
+/**
+ * Read the "compressThreshold" config value.
+ *
+ * @return {?number} The threshold in bytes, null if compression is off.
+ * @private
+ */
+JobItem.prototype._getCompressThreshold = function() {
+  var threshold = this.ctx.config.get('compressThreshold');
+  if (!_.isNumber(threshold) || isNaN(threshold) || 0 > threshold) {
+    return null;
+  }
+  return threshold;
+};
+
+/**
+ * Serialize the job item to store, the large fields "compress()" prepared
+ * get listed in the "compressed" key. Falls back to the public JSON.
+ *
+ * @return {!string} Always string no errors thrown.
+ * @private
+ */
+JobItem.prototype._getItemData = function() {
+  var threshold = this._getCompressThreshold();
+  if (null === threshold) {
+    return this.getPublicJSON();
+  }
+
+  var codec = serializer.get(this.ctx.config);
+  var serialized;
+  try {
+    var publicItem = this.getPublic();
+    var compressed = [];
+    COMPRESS_FIELDS.forEach(function(field) {
+      var value = codec.encode(publicItem[field]);
+      if ('string' !== typeof value || threshold >= Buffer.byteLength(value)) {
+        return;
+      }
+
+      // not compressed for the current value, stored as is
+      var cache = this._compressCache[field];
+      if (!cache || cache.serialized !== value) {
+        return;
+      }
+      publicItem[field] = cache.encoded;
+      compressed.push(field);
+    }, this);
+
+    if (compressed.length) {
+      publicItem.compressed = compressed;
+    }
+    serialized = codec.encode(publicItem);
+  } catch(ex) {
+    log.warn('_getItemData() :: Compression failed. jobId, ex: ', this.id, ex);
+    serialized = this.getPublicJSON();
+  }
+  return serialized;
+};
+
+/**
+ * Save the job item.
+ *
+ * @return {when.Promise} A promise.
+ */
+JobItem.prototype.save = function() {
+  log.fine('save() :: Init. jobId, state, Queue:', this.id, this.state, this.name);
+  var def = when.defer();
+
+  var key = this._getKey();
+
+  this.compress().then(function() {
+    var redisJobItem;
+    try {
+      redisJobItem = this.getRedisItem();
+    } catch(ex) {
+      return def.reject(new kError.JSON(ex));
+    }
+
+    this.client.hmset( key, redisJobItem, function(err) {
+      if (err) {
+        log.db('save() :: "hmset" failed. err: ', err);
+        return def.reject(new kError.Database(err));
+      }
+      def.resolve();
+    });
+  }.bind(this));
 
   return def.promise;
 };
 
 /**
- * Purge the job.
+ * Purge the job, the unique key is released.
  *
  * @return {when.Promise} a promise.
  */
@@ -374,39 +809,123 @@ JobItem.prototype.delete = function() {
   var jobId = this.id;
   var queue = this.name;
 
-  this.client.multi()
+  var multi = this.client.multi();
+  this.deleteMulti(multi);
+  this.releaseUnique(multi);
+
+  multi.exec(function(err) {
+    // publish anyway
+    var pubItem = {
+      id: jobId,
+      queue: queue,
+      jobItem: publicItem,
+      status: !err
+    };
+
+    var serializedPubItem;
+    try {
+      serializedPubItem = serializer.get(this.ctx.config).encode(pubItem);
+    } catch(ex) {
+      log.warn('delete() :: pubItem Object could not be serialized.' +
+        ' pubItem, ex :: ', pubItem, ex);
+    }
+    if (serializedPubItem) {
+      this.client.publish( channels.getKey(this.NS, channels.Channels.DELETE), serializedPubItem );
+    }
+
+    // reset vars
+    publicItem = jobId = queue = null;
+
+    if (err) {
+      log.db('delete() :: "exec" failed. err: ', err);
+      return def.reject(new kError.Database(err));
+    }
+    def.resolve();
+  }.bind(this));
+
+  return def.promise;
+};
+
+/**
+ * Append the commands that remove the job from all indexes, queues and
+ * schedules it may sit in to a redis transaction.
+ *
+ * @param {redis.Multi} multi The redis transaction.
+ */
+JobItem.prototype.deleteMulti = function(multi) {
+  multi
     .del( this._getKey())
     .zrem( this.NS + ':time-index', this.id)
-    .srem( states.getKey(this.state), this.id)
-    .exec(function(err) {
-      // publish anyway
-      var pubItem = {
-        id: jobId,
-        queue: queue,
-        jobItem: publicItem,
-        status: !err
-      };
-
-      var serializedPubItem;
-      try {
-        serializedPubItem = JSON.stringify(pubItem);
-      } catch(ex) {
-        log.warn('delete() :: pubItem Object could not be JSON serialized.' +
-          ' pubItem, ex :: ', pubItem, ex);
-      }
-      if (serializedPubItem) {
-        this.client.publish( channels.getKey(channels.Channels.DELETE), serializedPubItem );
-      }
+    .srem( states.getKey(this.NS, this.state), this.id)
+    .srem( states.getKey(this.NS, this.state, this.name), this.id)
+    .lrem( priorities.getQueueKey(this.NS, this.name, this.priority), 0,
+      this.id)
+    .zrem( this.NS + ':scheduled', this.id)
+    .zrem( this.NS + ':scheduled-purge', this.id)
+    .zrem( DeadLetterModel.getKey(this.NS, this.name), this.id)
+    .del( this.getDependsKey())
+    .del( this.getDependentsKey())
+    .del( JobLogModel.getKey(this.NS, this.id))
+    .zrem( this.NS + ':deadlines', this.id);
+};
 
-      // reset vars
-      publicItem = jobId = queue = null;
+/**
+ * Return the redis key of the counter of parent jobs this job still waits
+ * for.
+ *
+ * @return {string} The key.
+ */
+JobItem.prototype.getDependsKey = function() {
+  return this.NS + ':depends:' + this.id;
+};
 
-      if (err) {
-        log.db('delete() :: "exec" failed. err: ', err);
-        return def.reject(new kError.Database(err));
-      }
-      def.resolve();
-    }.bind(this));
+/**
+ * Return the redis key of the set of waiting job ids that depend on this job.
+ *
+ * @return {string} The key.
+ */
+JobItem.prototype.getDependentsKey = function() {
+  return this.NS + ':dependents:' + this.id;
+};
+
+/**
+ * Return the redis key of the unique key.
+ *
+ * @return {?string} The key or null if the job has no unique key.
+ */
+JobItem.prototype.getUniqueKey = function() {
+  if (!this.uniqueKey) {
+    return null;
+  }
+  return this.NS + ':unique:' + this.uniqueKey;
+};
+
+/**
+ * Release the unique key so a new job with the same key can be created.
+ * The key is only released if it still points to this job.
+ *
+ * @param {redis.Multi=} optMulti Optionally release within a transaction.
+ * @return {when.Promise} a promise.
+ */
+JobItem.prototype.releaseUnique = function(optMulti) {
+  var key = this.getUniqueKey();
+  if (!key) {
+    return when.resolve();
+  }
+
+  if (optMulti) {
+    optMulti.eval(RELEASE_UNIQUE_SCRIPT, 1, key, this.id);
+    return when.resolve();
+  }
+
+  var def = when.defer();
+  this.client.eval(RELEASE_UNIQUE_SCRIPT, 1, key, this.id, function(err) {
+    if (err) {
+      log.db('releaseUnique() :: "eval" Failed! err: ', err);
+      return def.reject(new kError.Database(err));
+    }
+    def.resolve();
+  });
 
   return def.promise;
 };
@@ -425,8 +944,10 @@ JobItem.prototype.setState = function(newState) {
   }
 
   var jobKey = this._getKey();
-  var oldSetKey = states.getKey(this.state);
-  var newSetKey = states.getKey(newState);
+  var oldSetKey = states.getKey(this.NS, this.state);
+  var newSetKey = states.getKey(this.NS, newState);
+  var oldNameSetKey = states.getKey(this.NS, this.state, this.name);
+  var newNameSetKey = states.getKey(this.NS, newState, this.name);
 
   log.info('setState() :: jobId, oldState, newState, Queue: ', this.id,
     this.state, newState, this.name);
@@ -436,13 +957,14 @@ JobItem.prototype.setState = function(newState) {
   this.client.multi()
     .hset(jobKey, 'state', this.state)
     .smove(oldSetKey, newSetKey, this.id)
+    .smove(oldNameSetKey, newNameSetKey, this.id)
     .exec(function(err, response){
       if (err) {
         log.db('setState() :: "hmset/smove/exec" failed. err: ', err);
         return def.reject(new kError.Database(err));
       }
 
-      if (0 === response[1]) {
+      if (0 === response[1] || 0 === response[2]) {
         log.warn('setState() :: State Set Move failed. Will attempt to create' +
           ' a new record. jobId, oldState, ' +
           'newState, Queue :: ', this.id, this.state, newState, this.name);
@@ -457,7 +979,9 @@ JobItem.prototype.setState = function(newState) {
 };
 
 /**
- * Create the state record in redis for a new job.
+ * Create the state records in redis for a new job, the job id is added
+ * to the state set and the state set of the job name. The job name gets
+ * registered too.
  *
  * @param {kickq.states.Job=} optState Optionally override state.
  * @return {when.Promise} a promise.
@@ -465,29 +989,38 @@ JobItem.prototype.setState = function(newState) {
 JobItem.prototype.createState = function(optState) {
   var def = when.defer();
 
-  var setKey = states.getKey( optState || this.state );
-  this.client.sadd(setKey, this.id, function(err) {
-    if (err) {
-      log.db('createState() :: "sadd" failed. err:', err);
-      return def.reject(new kError.Database(err));
-    }
-    def.resolve();
-  });
+  var state = optState || this.state;
+  this.client.multi()
+    .sadd( states.getKey(this.NS, state), this.id)
+    .sadd( states.getKey(this.NS, state, this.name), this.id)
+    .sadd( states.getNamesKey(this.NS), this.name)
+    .exec(function(err) {
+      if (err) {
+        log.db('createState() :: "sadd/exec" failed. err:', err);
+        return def.reject(new kError.Database(err));
+      }
+      def.resolve();
+    });
 
   return def.promise;
 };
 
 /**
- * Create the time-index record for this job item.
+ * Create the time-index record for this job item, and the deadlines record
+ * if the job has a deadline.
  *
  * @return {when.Promise} a promise.
  */
 JobItem.prototype.createTimeIndex = function() {
   var def = when.defer();
-  var setKey = this.NS + ':time-index';
-  this.client.zadd(setKey, this.createTime, this.id, function(err) {
+  var multi = this.client.multi()
+    .zadd(this.NS + ':time-index', this.createTime, this.id);
+  if (_.isNumber(this.deadline)) {
+    multi.zadd(this.NS + ':deadlines', this.deadline, this.id);
+  }
+  multi.exec(function(err) {
     if (err) {
-      log.db('createTimeIndex() :: "zadd" failed. err:', err);
+      log.db('createTimeIndex() :: "zadd/exec" failed. err:', err);
       return def.reject(new kError.Database(err));
     }
     def.resolve();
@@ -495,6 +1028,26 @@ JobItem.prototype.createTimeIndex = function() {
   return def.promise;
 };
 
+/**
+ * Append the commands that create the state, time-index, deadlines and hash
+ * records of a new job item to a redis transaction. Run "compress()" first
+ * for the large fields to get stored compressed.
+ *
+ * @param {redis.Multi} multi The redis transaction.
+ */
+JobItem.prototype.createMulti = function(multi) {
+  multi
+    .hmset( this._getKey(), this.getRedisItem())
+    .sadd( states.getKey(this.NS, this.state), this.id)
+    .sadd( states.getKey(this.NS, this.state, this.name), this.id)
+    .sadd( states.getNamesKey(this.NS), this.name)
+    .zadd( this.NS + ':time-index', this.createTime, this.id);
+
+  if (_.isNumber(this.deadline)) {
+    multi.zadd( this.NS + ':deadlines', this.deadline, this.id);
+  }
+};
+
 /**
  * Get the db key for the current item for job hash.
  *
@@ -9,21 +9,88 @@ var when  = require('when');
 var log = require('logg').getLogger('kickq.model.JobModel');
 
 var Queue = require('./queue.model');
+var DeadLetterModel = require('./deadletter.model');
 var JobItem = require('../model/job.item');
 var Model = require('./model');
 var kError = require('../utility/kerror');
 var states = require('./states');
+var backoff = require('./backoff');
+var priorities = require('./priorities');
+var serializer = require('./serializer');
+
+/**
+ * Registers a waiting job on the dependents set of each parent job that has
+ * not succeeded yet and stores how many they are. Nothing gets registered
+ * if a parent job is missing, failed or expired.
+ *
+ * KEYS: the depends counter, then a job hash and dependents set pair per
+ *   parent job.
+ * ARGV: the waiting job id, then the parent job ids.
+ *
+ * Returns {pendingCount} or {-1, parentId, parentState}.
+ *
+ * @const {string}
+ */
+var SAVE_DEPENDS_SCRIPT = [
+  'local pending = {}',
+  'for i = 2, #KEYS, 2 do',
+  '  local state = redis.call("hget", KEYS[i], "state")',
+  '  if not state or state == "' + states.Job.FAIL + '" or',
+  '    state == "' + states.Job.EXPIRED + '" then',
+  '    return {-1, ARGV[i / 2 + 1], state or ""}',
+  '  end',
+  '  if state ~= "' + states.Job.SUCCESS + '" then',
+  '    table.insert(pending, KEYS[i + 1])',
+  '  end',
+  'end',
+  'for _, key in ipairs(pending) do',
+  '  redis.call("sadd", key, ARGV[1])',
+  'end',
+  'if #pending > 0 then',
+  '  redis.call("set", KEYS[1], #pending)',
+  'end',
+  'return {#pending}'
+].join('\n');
+
+/**
+ * Decrements the depends counter if it exists, deletes it when it hits zero.
+ *
+ * @const {string}
+ */
+var DECR_DEPENDS_SCRIPT = [
+  'if redis.call("exists", KEYS[1]) == 0 then return -1 end',
+  'local count = redis.call("decr", KEYS[1])',
+  'if count <= 0 then redis.call("del", KEYS[1]) end',
+  'return count'
+].join('\n');
+
+/**
+ * Moves a job on the schedule and updates its record, only if the job is
+ * still on the schedule.
+ *
+ * KEYS: the schedule, the job hash.
+ * ARGV: the job id, the new score, the item data, the update time.
+ *
+ * @const {string}
+ */
+var RESCHEDULE_SCRIPT = [
+  'if not redis.call("zscore", KEYS[1], ARGV[1]) then return 0 end',
+  'redis.call("zadd", KEYS[1], ARGV[2], ARGV[1])',
+  'redis.call("hmset", KEYS[2], "itemData", ARGV[3], "updateTime", ARGV[4])',
+  'return 1'
+].join('\n');
 
 /**
  * The job Class.
  *
+ * @param {Kickq.Context} ctx The context of the kickq instance.
  * @param {Kickq.JobItem|string} jobItem the job item or job id.
  * @constructor
  * @extends {Kickq.Model}
  */
-var JobModel = module.exports = function( jobItem ) {
+var JobModel = module.exports = function( ctx, jobItem ) {
   log.finer('Ctor() :: Init');
-  Model.apply(this, arguments);
+  Model.call(this, ctx);
 
   /** @type {?Kickq.JobItem} */
   this.job = null;
@@ -49,6 +116,22 @@ var JobModel = module.exports = function( jobItem ) {
 };
 util.inherits(JobModel, Model);
 
+/**
+ * A map of internal operational parameters.
+ *
+ * @type {Object}
+ */
+JobModel.param = {
+  // ms, a unique key claim expires if the job does not get created in time
+  UNIQUE_CLAIM_TIMEOUT: 30000,
+
+  // ms, wait for a job that is being created by another producer
+  UNIQUE_RETRY_INTERVAL: 50,
+
+  // how many times to wait for it
+  UNIQUE_RETRIES: 20
+};
+
 /**
  * Fetch the job if not loaded.
  *
@@ -68,7 +151,7 @@ JobModel.prototype.fetch = function() {
   }
 
   var key = this.NS + ':job:' + this.jobId;
-  this.client.hmget(key, 'itemData', 'state',
+  this.client.hmget(key, 'itemData', 'state', 'progress',
     this._fetchResponse.bind(this, def.resolver));
 
   return def.promise;
@@ -92,46 +175,81 @@ JobModel.prototype._fetchResponse = function(resolver, err, response) {
     return;
   }
 
-  var itemData = response[0];
-  var state = response[1];
+  JobModel.toJobItem(this.ctx, this.jobId, response[0], response[1],
+    response[2]).then(function(jobItem) {
+    this.job = jobItem;
+
+    // sanity check
+    if (this.jobId !== this.job.id) {
+      resolver.reject(new kError.NoRecord(this.jobId, 'Fetched jobId does not' +
+        ' match fetched one: ' + this.job.id ));
+      return;
+    }
+
+    this.hasJobItem = true;
+    log.finest('_fetchResponse() :: Fetched ok. jobId: ', this.job.id);
+    resolver.resolve(this.job);
+  }.bind(this)).otherwise(resolver.reject);
+};
 
+/**
+ * Create a job item instance out of the "itemData", "state" and "progress"
+ * fields of a job record.
+ *
+ * @param {Kickq.Context} ctx The context of the kickq instance.
+ * @param {string} jobId The job id.
+ * @param {?string} itemData The serialized job item.
+ * @param {?string} state The state of the job record.
+ * @param {?string=} optProgress The serialized progress of the job record.
+ * @return {when.Promise} a promise resolving to the job item, rejected with
+ *   kError.NoRecord or kError.JSON if no record or parsing failed.
+ */
+JobModel.toJobItem = function(ctx, jobId, itemData, state, optProgress) {
   if (!_.isString(itemData)) {
-    resolver.reject(new kError.NoRecord(this.jobId));
-    return;
+    return when.reject(new kError.NoRecord(jobId));
   }
 
-  var jobItem;
+  var codec = serializer.get(ctx.config);
+  var item;
   try {
-    jobItem = JSON.parse(itemData);
+    item = codec.decode(itemData);
   } catch(ex) {
-    resolver.reject(new kError.JSON(ex));
-    return;
+    return when.reject(new kError.JSON(ex));
   }
 
-  // record state trumps itemData
-  jobItem.state = state;
+  return JobItem.decompress(item, codec).then(function(jobItem) {
+    // record state trumps itemData
+    jobItem.state = state;
 
-  this.job = new JobItem(jobItem);
-
-  // sanity check
-  if (this.jobId !== this.job.id) {
-    resolver.reject(new kError.NoRecord(this.jobId, 'Fetched jobId does not' +
-      ' match fetched one: ' + this.job.id ));
-    return;
-  }
+    // so does the progress, reported while processing without saving the item
+    if (_.isString(optProgress)) {
+      try {
+        jobItem.progress = codec.decode(optProgress);
+      } catch(ex) {
+        log.warn('toJobItem() :: Progress failed to parse. jobId, ex: ', jobId,
+          ex);
+      }
+    }
 
-  this.hasJobItem = true;
-  log.finest('_fetchResponse() :: Fetched ok. jobId: ', this.job.id);
-  resolver.resolve(this.job);
+    return new JobItem(ctx, jobItem);
+  }, function(err) {
+    throw new kError.JSON(err);
+  });
 };
 
 /**
- * Create a new job item.
+ * Create a new job item. If the job has a unique key and a job with the
+ * same key is not complete the existing job item is resolved instead.
  *
- * @return {when.Promise} a promise.
+ * @return {when.Promise} a promise resolving to the job item.
  */
 JobModel.prototype.create = function() {
+  if (this.job.uniqueKey) {
+    return this._createUnique();
+  }
+
   var def = when.defer();
+  var job = this.job;
 
   this.client.incr( this.NS + ':id', function(err, id) {
     if (err) {
@@ -148,9 +266,170 @@ JobModel.prototype.create = function() {
       .then(this.job.createTimeIndex.bind(this.job), def.reject)
       .then(this._saveQueue.bind(this), def.reject)
       .then(this._saveTimeIndex.bind(this), def.reject)
-      .then(def.resolve, def.reject);
+      .then(this.saveDepends.bind(this), def.reject)
+      .then(function() {
+        def.resolve(job);
+      }, def.reject);
+
+  }.bind(this));
+
+  return def.promise;
+};
+
+/**
+ * Create a job that has a unique key. The key is claimed with an expiring
+ * SET NX so concurrent producers cannot both create, the job is then
+ * written in a single transaction that also makes the claim permanent.
+ *
+ * @return {when.Promise} a promise resolving to the new or existing job item.
+ * @private
+ */
+JobModel.prototype._createUnique = function() {
+  var def = when.defer();
+
+  // the transaction stores the job item, compress it beforehand
+  this.job.compress().then(function() {
+    if (this.job.id) {
+      // caller supplied job id
+      this._claimUnique(def, 0);
+      return;
+    }
+
+    this.client.incr( this.NS + ':id', function(err, id) {
+      if (err) {
+        log.db('_createUnique() :: "incr" Failed! err: ', err);
+        return def.reject( new kError.Database(err) );
+      }
+
+      // cast to string
+      this.job.id = id + '';
+      this._claimUnique(def, 0);
+    }.bind(this));
+  }.bind(this));
+
+  return def.promise;
+};
+
+/**
+ * Claim the unique key, if already claimed fetch the job that owns it.
+ *
+ * @param {when.Deferred} def The deferred of the create operation.
+ * @param {number} attempt How many times the owner job has been waited for.
+ * @private
+ */
+JobModel.prototype._claimUnique = function(def, attempt) {
+  var key = this.job.getUniqueKey();
+
+  this.client.set(key, this.job.id, 'NX', 'PX',
+    JobModel.param.UNIQUE_CLAIM_TIMEOUT, function(err, response) {
+    if (err) {
+      log.db('_claimUnique() :: "set" Failed! err: ', err);
+      return def.reject( new kError.Database(err) );
+    }
+
+    if ('OK' === response) {
+      this._createClaimed().then(def.resolve, def.reject);
+      return;
+    }
+
+    this._fetchUnique(def, attempt);
+  }.bind(this));
+};
+
+/**
+ * The unique key is owned by another job, fetch and resolve it. If it is
+ * still being created wait for it.
+ *
+ * @param {when.Deferred} def The deferred of the create operation.
+ * @param {number} attempt How many times the owner job has been waited for.
+ * @private
+ */
+JobModel.prototype._fetchUnique = function(def, attempt) {
+  this.client.get(this.job.getUniqueKey(), function(err, jobId) {
+    if (err) {
+      log.db('_fetchUnique() :: "get" Failed! err: ', err);
+      return def.reject( new kError.Database(err) );
+    }
 
+    // released in the meantime, try to claim again
+    if (!jobId) {
+      return this._claimUnique(def, attempt);
+    }
+
+    var jobModel = new JobModel(this.ctx, jobId);
+    jobModel.fetch().then(def.resolve, function(err) {
+      if ( !(err instanceof kError.NoRecord) ||
+        attempt >= JobModel.param.UNIQUE_RETRIES) {
+        return def.reject(err);
+      }
+      log.fine('_fetchUnique() :: Owner job not created yet. uniqueKey,' +
+        ' jobId: ', this.job.uniqueKey, jobId);
+      setTimeout(this._claimUnique.bind(this, def, attempt + 1),
+        JobModel.param.UNIQUE_RETRY_INTERVAL);
+    }.bind(this)).always(jobModel.dispose.bind(jobModel));
   }.bind(this));
+};
+
+/**
+ * The unique key has been claimed, write the job in a single transaction.
+ * A complete job with the same caller supplied id gets replaced, one that
+ * is not complete gets resolved. It keeps the claim if it has the same
+ * unique key, the claim is dropped otherwise.
+ *
+ * @return {when.Promise} a promise resolving to the job item.
+ * @private
+ */
+JobModel.prototype._createClaimed = function() {
+  var def = when.defer();
+  var jobModel = new JobModel(this.ctx, this.job.id);
+  var queue = new Queue(this.ctx, this.job);
+
+  jobModel.fetch().then(function(oldJob) {
+    return oldJob;
+  }, function(err) {
+    if (err instanceof kError.NoRecord) {
+      return null;
+    }
+    throw err;
+  }).then(function(oldJob) {
+    if (oldJob && !oldJob.complete) {
+      if (oldJob.uniqueKey === this.job.uniqueKey) {
+        this.client.persist(this.job.getUniqueKey());
+        def.resolve(oldJob);
+        return;
+      }
+      // the old job never releases a key it does not own, drop the claim
+      this.job.releaseUnique().then(function() {
+        def.resolve(oldJob);
+      }, def.reject);
+      return;
+    }
+
+    var multi = this.client.multi();
+    if (oldJob) {
+      oldJob.deleteMulti(multi);
+    }
+
+    // queueing goes first as it may update the job item
+    queue.saveMulti(multi);
+    this.job.createMulti(multi);
+    multi.persist(this.job.getUniqueKey());
+
+    multi.exec(function(err) {
+      if (err) {
+        log.db('_createClaimed() :: "exec" Failed! err: ', err);
+        return def.reject( new kError.Database(err) );
+      }
+
+      queue.checkHotjob()
+        .then(this.saveDepends.bind(this))
+        .then(function() {
+          def.resolve(this.job);
+        }.bind(this), def.reject);
+    }.bind(this));
+  }.bind(this)).otherwise(def.reject);
+
+  def.promise.always(jobModel.dispose.bind(jobModel));
 
   return def.promise;
 };
@@ -165,7 +444,7 @@ JobModel.prototype.create = function() {
  * @private
  */
 JobModel.prototype._saveQueue = function() {
-  var queue = new Queue(this.job);
+  var queue = new Queue(this.ctx, this.job);
   return queue.save();
 };
 
@@ -213,6 +492,10 @@ JobModel.prototype.processed = function(success, optTimeout) {
     .then(this.job.save.bind(this.job), def.reject)
     .then(this._saveQueue.bind(this), def.reject);
 
+  if (this.job.complete) {
+    finalPromise = finalPromise.then(this._onComplete.bind(this));
+  }
+
   // resolve or reject
   finalPromise.then(def.resolve, def.reject);
 
@@ -227,6 +510,517 @@ JobModel.prototype.processed = function(success, optTimeout) {
 };
 
 
+/**
+ * A job reached a final state, release its unique key and let the jobs
+ * that depend on it move on.
+ *
+ * @return {when.Promise} a promise.
+ * @private
+ */
+JobModel.prototype._onComplete = function() {
+  return when.all([
+    this.job.releaseUnique(),
+    this._resolveDependents()
+  ]);
+};
+
+/**
+ * Register a new waiting job with the jobs it depends on. If they have
+ * all succeeded already the job gets queued, if one is missing or failed
+ * the job fails.
+ *
+ * @return {when.Promise} a promise.
+ */
+JobModel.prototype.saveDepends = function() {
+  if (states.Job.WAITING !== this.job.state) {
+    return when.resolve();
+  }
+
+  var def = when.defer();
+  var keys = [this.job.getDependsKey()];
+  this.job.dependsOn.forEach(function(parentId) {
+    keys.push(this.NS + ':job:' + parentId);
+    keys.push(this.NS + ':dependents:' + parentId);
+  }, this);
+
+  var args = [SAVE_DEPENDS_SCRIPT, keys.length]
+    .concat(keys, this.job.id, this.job.dependsOn);
+
+  args.push(function(err, response) {
+    if (err) {
+      log.db('saveDepends() :: "eval" Failed! err: ', err);
+      return def.reject(new kError.Database(err));
+    }
+
+    var promise;
+    if (-1 === response[0]) {
+      var message = response[2] ?
+        'Parent job ' + response[1] + ' failed' :
+        'Parent job ' + response[1] + ' does not exist';
+      promise = this.failWaiting(message);
+    } else if (0 === response[0]) {
+      promise = this.unblock();
+    } else {
+      promise = when.resolve();
+    }
+
+    promise.then(def.resolve, def.reject);
+  }.bind(this));
+
+  this.client.eval.apply(this.client, args);
+
+  return def.promise;
+};
+
+/**
+ * Notify the jobs waiting on this completed job. On success their
+ * depends counter is decremented and the ones that reach zero get queued,
+ * on failure they fail.
+ *
+ * @return {when.Promise} a promise.
+ * @private
+ */
+JobModel.prototype._resolveDependents = function() {
+  var def = when.defer();
+  var key = this.job.getDependentsKey();
+
+  this.client.multi()
+    .smembers(key)
+    .del(key)
+    .exec(function(err, response) {
+      if (err) {
+        log.db('_resolveDependents() :: "smembers/del/exec" Failed! err: ',
+          err);
+        return def.reject(new kError.Database(err));
+      }
+
+      var childIds = response[0] || [];
+      when.all(childIds.map(this._resolveDependent.bind(this)))
+        .then(def.resolve, def.reject);
+    }.bind(this));
+
+  return def.promise;
+};
+
+/**
+ * Notify a job waiting on this completed job.
+ *
+ * @param {string} childId The id of the waiting job.
+ * @return {when.Promise} a promise.
+ * @private
+ */
+JobModel.prototype._resolveDependent = function(childId) {
+  var def = when.defer();
+  var key = this.NS + ':depends:' + childId;
+  var success = this.job.success;
+
+  function onResponse(err, response) {
+    if (err) {
+      log.db('_resolveDependent() :: Counter update Failed! err: ', err);
+      return def.reject(new kError.Database(err));
+    }
+
+    // still waiting on other parents or already resolved by another one
+    if ( (success && 0 !== response) || (!success && 1 !== response) ) {
+      return def.resolve();
+    }
+
+    var jobModel = new JobModel(this.ctx, childId);
+    var promise = jobModel.fetch().then(function() {
+      if (success) {
+        return jobModel.unblock();
+      }
+      return jobModel.failWaiting('Parent job ' + this.job.id + ' failed');
+    }.bind(this));
+
+    promise.then(def.resolve, def.reject);
+    promise.always(jobModel.dispose.bind(jobModel));
+  }
+
+  if (success) {
+    this.client.eval(DECR_DEPENDS_SCRIPT, 1, key, onResponse.bind(this));
+  } else {
+    // whoever deletes the counter fails the job
+    this.client.del(key, onResponse.bind(this));
+  }
+
+  return def.promise;
+};
+
+/**
+ * Queue a waiting job, or schedule it if it has a delay.
+ *
+ * @return {when.Promise} a promise.
+ */
+JobModel.prototype.unblock = function() {
+  log.info('unblock() :: Init. jobId, state, Queue: ', this.job.id,
+    this.job.state, this.job.name);
+
+  if (states.Job.WAITING !== this.job.state) {
+    return when.reject(new kError.InvalidState(this.job));
+  }
+
+  var newState = this.job.isDelayed() ? states.Job.DELAYED :
+    states.Job.QUEUED;
+
+  return this.job.setState(newState)
+    .then(this.job.save.bind(this.job))
+    .then(this._saveQueue.bind(this));
+};
+
+/**
+ * Fail a waiting job as a job it depends on will never succeed, the jobs
+ * that depend on it fail too.
+ *
+ * @param {string} message The reason, stored as the job's last error.
+ * @return {when.Promise} a promise.
+ */
+JobModel.prototype.failWaiting = function(message) {
+  log.info('failWaiting() :: Init. jobId, message, Queue: ', this.job.id,
+    message, this.job.name);
+
+  if (states.Job.WAITING !== this.job.state) {
+    return when.reject(new kError.InvalidState(this.job));
+  }
+
+  this.job.lastError = message;
+  this._finishJob(false);
+
+  var newState = this.job.state;
+  this.job.state = states.Job.WAITING;
+
+  return this.job.setState(newState)
+    .then(this.job.save.bind(this.job))
+    .then(this._saveQueue.bind(this))
+    .then(this._onComplete.bind(this));
+};
+
+/**
+ * Expire a job that did not start processing before its deadline. The job
+ * completes without processing and the jobs that depend on it fail.
+ *
+ * @return {when.Promise} a promise.
+ */
+JobModel.prototype.expire = function() {
+  log.info('expire() :: Init. jobId, state, deadline, Queue: ', this.job.id,
+    this.job.state, this.job.deadline, this.job.name);
+
+  var state = this.job.state;
+  if (this.job.complete || states.Job.PROCESSING === state) {
+    return when.reject(new kError.InvalidState(this.job));
+  }
+
+  this.job.lastError = 'Job expired';
+  this._finishJob(false);
+  this.job.state = state;
+
+  var multi = this.client.multi()
+    .del(this.job.getDependsKey())
+    .zrem(this.NS + ':deadlines', this.job.id);
+  var def = when.defer();
+  multi.exec(function(err) {
+    if (err) {
+      log.db('expire() :: "del/zrem/exec" Failed! err: ', err);
+      return def.reject(new kError.Database(err));
+    }
+    def.resolve();
+  });
+
+  return def.promise
+    .then(this.job.setState.bind(this.job, states.Job.EXPIRED))
+    .then(this.job.save.bind(this.job))
+    .then(this._saveQueue.bind(this))
+    .then(this._onComplete.bind(this));
+};
+
+/**
+ * Expire a job found past its deadline by the sweeper. The job is taken
+ * off its process queue or schedule first, if it is not found there a
+ * worker or the scheduler got it first and no action is taken.
+ *
+ * @return {when.Promise} a promise resolving to a boolean, if the job
+ *   expired.
+ */
+JobModel.prototype.sweep = function() {
+  var def = when.defer();
+
+  var onResponse = function(err, removed) {
+    if (err) {
+      log.db('sweep() :: "lrem/zrem" Failed! err: ', err);
+      return def.reject(new kError.Database(err));
+    }
+    if (0 === removed) {
+      return def.resolve(false);
+    }
+    this.expire().then(def.resolve.bind(def, true), def.reject);
+  }.bind(this);
+
+  switch(this.job.state) {
+  case states.Job.QUEUED:
+    this.client.lrem(priorities.getQueueKey(this.NS, this.job.name,
+      this.job.priority), 0, this.job.id, onResponse);
+    break;
+  case states.Job.DELAYED:
+  case states.Job.RETRY:
+  case states.Job.GHOST:
+    this.client.zrem(this.NS + ':scheduled', this.job.id, onResponse);
+    break;
+  case states.Job.WAITING:
+    onResponse(null, 1);
+    break;
+  default:
+    def.resolve(false);
+    break;
+  }
+
+  return def.promise;
+};
+
+/**
+ * Queue a finally failed job to get processed again. The job's process
+ * items are kept, the next processing appends its own.
+ *
+ * @return {when.Promise} a promise.
+ */
+JobModel.prototype.retry = function() {
+  log.info('retry() :: Init. jobId, state, Queue: ', this.job.id,
+    this.job.state, this.job.name);
+
+  if (states.Job.FAIL !== this.job.state) {
+    return when.reject(new kError.InvalidState(this.job));
+  }
+
+  this.job.complete = false;
+  this.job.success = false;
+  this.job.finishTime = null;
+  this.job.totalProcessTime = null;
+
+  return this._requeueFailed();
+};
+
+/**
+ * Queue a finally failed job as a fresh run, the process items, last error,
+ * result and progress of the previous runs are dropped and a new deadline
+ * is set if the job has the "expireAfter" option.
+ *
+ * @return {when.Promise} a promise resolving to true once queued.
+ */
+JobModel.prototype.replay = function() {
+  log.info('replay() :: Init. jobId, Queue: ', this.job.id, this.job.name);
+
+  if (states.Job.FAIL !== this.job.state) {
+    return when.reject(new kError.InvalidState(this.job));
+  }
+
+  this.job.complete = false;
+  this.job.success = false;
+  this.job.finishTime = null;
+  this.job.totalProcessTime = null;
+  this.job.runs = [];
+  this.job.lastError = null;
+  this.job.result = null;
+  this.job.progress = null;
+  this.job.deadline = null;
+  if (_.isNumber(this.job.expireAfter)) {
+    this.job.deadline = Date.now() + this.job.expireAfter;
+  }
+
+  var def = when.defer();
+  this.client.hdel(this.NS + ':job:' + this.job.id, 'progress', function(err) {
+    if (err) {
+      log.db('replay() :: "hdel" Failed! err: ', err);
+      return def.reject(new kError.Database(err));
+    }
+    def.resolve();
+  });
+
+  return def.promise
+    .then(this._requeueFailed.bind(this))
+    .then(function(requeued) {
+      if (!requeued || null === this.job.deadline) {
+        return requeued;
+      }
+      var deadlineDef = when.defer();
+      this.client.zadd(this.NS + ':deadlines', this.job.deadline, this.job.id,
+        function(err) {
+        if (err) {
+          log.db('replay() :: "zadd" Failed! err: ', err);
+          return deadlineDef.reject(new kError.Database(err));
+        }
+        deadlineDef.resolve(true);
+      });
+      return deadlineDef.promise;
+    }.bind(this));
+};
+
+/**
+ * Queue a scheduled job (delayed, retry or ghost) to get processed now.
+ *
+ * @return {when.Promise} a promise.
+ */
+JobModel.prototype.promote = function() {
+  log.info('promote() :: Init. jobId, state, Queue: ', this.job.id,
+    this.job.state, this.job.name);
+
+  var promotable = [
+    states.Job.DELAYED,
+    states.Job.RETRY,
+    states.Job.GHOST
+  ];
+  if (-1 === promotable.indexOf(this.job.state)) {
+    return when.reject(new kError.InvalidState(this.job));
+  }
+
+  return this._requeue('scheduled');
+};
+
+/**
+ * Move a delayed job to a new point in time.
+ *
+ * If the job was not found on the schedule, the scheduler has already
+ * picked it up and is about to queue it, the operation is rejected then.
+ *
+ * @param {number} runAt JS timestamp to queue the job at.
+ * @return {when.Promise} a promise.
+ */
+JobModel.prototype.reschedule = function(runAt) {
+  log.info('reschedule() :: Init. jobId, state, runAt, Queue: ', this.job.id,
+    this.job.state, runAt, this.job.name);
+
+  if (states.Job.DELAYED !== this.job.state) {
+    return when.reject(new kError.InvalidState(this.job));
+  }
+
+  var def = when.defer();
+
+  this.job.runAt = runAt;
+  this.job.scheduledFor = runAt;
+
+  this.job.compress().then(function() {
+    var redisItem = this.job.getRedisItem();
+
+    this.client.eval(RESCHEDULE_SCRIPT, 2, this.NS + ':scheduled',
+      this.NS + ':job:' + this.job.id, this.job.id, runAt, redisItem.itemData,
+      redisItem.updateTime, function(err, updated) {
+      if (err) {
+        log.db('reschedule() :: "eval" Failed! err: ', err);
+        return def.reject(new kError.Database(err));
+      }
+
+      if (1 !== updated) {
+        log.warn('reschedule() :: Job not found on schedule. jobId: ',
+          this.job.id);
+        return def.reject(new kError.InvalidState(this.job));
+      }
+
+      def.resolve();
+    }.bind(this));
+  }.bind(this));
+
+  return def.promise;
+};
+
+/**
+ * Store the progress of the job on its record and publish it. Only the
+ * progress field gets written, the job item is saved when processed.
+ *
+ * @return {when.Promise} a promise.
+ */
+JobModel.prototype.saveProgress = function() {
+  var def = when.defer();
+
+  var multi = this.client.multi()
+    .hset(this.NS + ':job:' + this.job.id, 'progress',
+      serializer.get(this.ctx.config).encode(this.job.progress));
+
+  var queue = new Queue(this.ctx, this.job);
+  queue.publishProgress(multi);
+
+  multi.exec(function(err) {
+    if (err) {
+      log.db('saveProgress() :: "hset/publish/exec" Failed! err: ', err);
+      return def.reject(new kError.Database(err));
+    }
+    def.resolve();
+  });
+
+  return def.promise;
+};
+
+/**
+ * Remove the job from a schedule and add it to the process queue.
+ *
+ * If the job was not found on the schedule, the scheduler has already
+ * picked it up and is about to act on it, no action is taken then.
+ *
+ * @param {string} queue The schedule, relative to the namespace.
+ * @return {when.Promise} a promise resolving to a boolean, false if the job
+ *   was not found on the schedule.
+ * @private
+ */
+JobModel.prototype._requeue = function(queue) {
+  var def = when.defer();
+
+  this.client.zrem( this.NS + ':' + queue, this.job.id, function(err, removed) {
+    if (err) {
+      log.db('_requeue() :: "zrem" Failed! err: ', err);
+      return def.reject(new kError.Database(err));
+    }
+
+    if (0 === removed) {
+      log.warn('_requeue() :: Job not found on schedule, skipping. jobId,' +
+        ' queue: ', this.job.id, queue);
+      return def.resolve(false);
+    }
+
+    this._queueNow().then(def.resolve.bind(def, true), def.reject);
+  }.bind(this));
+
+  return def.promise;
+};
+
+/**
+ * Remove a finally failed job from its purge schedule and dead letters and
+ * add it to the process queue. The job gets queued whether found on them
+ * or not, the purge may have been popped already or the "deadLetter" config
+ * changed since the job failed.
+ *
+ * @return {when.Promise} a promise resolving to true.
+ * @private
+ */
+JobModel.prototype._requeueFailed = function() {
+  var def = when.defer();
+
+  this.client.multi()
+    .zrem(this.NS + ':scheduled-purge', this.job.id)
+    .zrem(DeadLetterModel.getKey(this.NS, this.job.name), this.job.id)
+    .exec(function(err) {
+      if (err) {
+        log.db('_requeueFailed() :: "zrem/exec" Failed! err: ', err);
+        return def.reject(new kError.Database(err));
+      }
+
+      this._queueNow().then(def.resolve.bind(def, true), def.reject);
+    }.bind(this));
+
+  return def.promise;
+};
+
+/**
+ * Save the job as queued and add it to the process queue.
+ *
+ * @return {when.Promise} a promise.
+ * @private
+ */
+JobModel.prototype._queueNow = function() {
+  this.job.scheduledFor = null;
+  this.job.nextAttemptTime = null;
+
+  return this.job.setState(states.Job.QUEUED)
+    .then(this.job.save.bind(this.job))
+    .then(this._saveQueue.bind(this));
+};
+
 /**
  * A processed job's outcome was an Error, handle it.
  *
@@ -234,18 +1028,67 @@ JobModel.prototype.processed = function(success, optTimeout) {
  */
 JobModel.prototype._processedError = function() {
 
-  if (!this.job.retry) {
+  // cancelled jobs do not retry
+  if (this.job._cancelled) {
     this._finishJob(false);
     return;
   }
-  if (this.job.runs.length < this.job.retryTimes) {
-    // retry
-    this.job.state = states.Job.RETRY;
+
+  var decision = this._runRetryPolicy();
+  var retry;
+  var delay;
+  if (decision) {
+    retry = decision.retry;
+    delay = decision.delay;
   } else {
+    retry = this.job.retry && this.job.runs.length < this.job.retryTimes;
+  }
+
+  if (!retry) {
     // abort
     this._finishJob(false);
+    return;
+  }
+
+  if (!_.isNumber(delay) || isNaN(delay) || 0 > delay) {
+    delay = backoff.getDelay(this.job.retryBackoff, this.job.retryInterval,
+      this.job.runs.length);
+  }
+
+  this.job.state = states.Job.RETRY;
+  this.job.nextAttemptTime = Date.now() + delay;
+};
+
+/**
+ * Run the retry policy registered for the job name, if any.
+ *
+ * @return {?Object} The decision with the keys "retry" and "delay", null
+ *   if there is no policy or it did not decide.
+ * @private
+ */
+JobModel.prototype._runRetryPolicy = function() {
+  var policyFn = this.ctx.retryPolicies[this.job.name];
+  if (!policyFn) {
+    return null;
+  }
+
+  var decision;
+  try {
+    decision = policyFn(this.job.getPublic(), this.job.lastError);
+  } catch(ex) {
+    log.warn('_runRetryPolicy() :: Policy raised exception. jobId, ex: ',
+      this.job.id, ex);
+    return null;
+  }
+
+  if (!_.isObject(decision)) {
+    return null;
   }
 
+  return {
+    retry: !!decision.retry,
+    delay: decision.delay
+  };
 };
 
 /**
@@ -255,7 +1098,8 @@ JobModel.prototype._processedError = function() {
  */
 JobModel.prototype._processedTimeout = function() {
 
-  if (!this.job.ghostRetry) {
+  // cancelled jobs do not ghost
+  if (!this.job.ghostRetry || this.job._cancelled) {
     this._finishJob(false);
     return;
   }
@@ -275,6 +1119,8 @@ JobModel.prototype._processedTimeout = function() {
     this._finishJob(false);
   } else {
     this.job.state = states.Job.GHOST;
+    this.job.nextAttemptTime = Date.now() + backoff.getDelay(
+      this.job.ghostBackoff, this.job.ghostInterval, ghostCount);
   }
 };
 
@@ -286,6 +1132,7 @@ JobModel.prototype._processedTimeout = function() {
  */
 JobModel.prototype._finishJob = function(outcome) {
   this.job.complete = true;
+  this.job.nextAttemptTime = null;
   this.job.success = outcome;
   var state = (outcome ? states.Job.SUCCESS : states.Job.FAIL);
 
@@ -0,0 +1,138 @@
+/**
+ * @fileoverview The log lines of jobs, each job has a capped redis list of
+ *   timestamped lines, written while it processes.
+ */
+var util = require('util');
+var _ = require('underscore');
+var when  = require('when');
+
+var log = require('logg').getLogger('kickq.model.JobLogModel');
+
+var Model = require('./model');
+var kError = require('../utility/kerror');
+
+/**
+ * The Job Log Class.
+ *
+ * @param {Kickq.Context} ctx The context of the kickq instance.
+ * @constructor
+ * @extends {Kickq.Model}
+ */
+var JobLogModel = module.exports = function(ctx) {
+  log.finer('Ctor() :: Init');
+  Model.call(this, ctx);
+};
+util.inherits(JobLogModel, Model);
+
+/**
+ * A map of internal operational parameters.
+ *
+ * @type {Object}
+ */
+JobLogModel.param = {
+  // Default count of lines when reading
+  LIMIT: 100
+};
+
+/**
+ * Return the redis key of the log list of a job.
+ *
+ * @param {string} ns The redis namespace.
+ * @param {string} jobId The job id.
+ * @return {string} The key.
+ */
+JobLogModel.getKey = function(ns, jobId) {
+  return ns + ':job-log:' + jobId;
+};
+
+/**
+ * Check if the logger records should be captured while jobs of a job name
+ * process, "jobFlags" first.
+ *
+ * @param {string} jobName The job name.
+ * @return {boolean} yes/no.
+ */
+JobLogModel.prototype.isCapturing = function(jobName) {
+  var configOpts = this.ctx.config.getJob(jobName);
+  if (configOpts.hasOwnProperty('jobLogCapture')) {
+    return !!configOpts.jobLogCapture;
+  }
+  return !!this.ctx.config.get('jobLogCapture');
+};
+
+/**
+ * Append a line to the log of a job, the oldest lines are dropped once the
+ * "jobLogMax" config value is exceeded.
+ *
+ * Does not log on success, it gets invoked for logger records.
+ *
+ * @param {string} jobId The job id.
+ * @param {string} message The line.
+ * @param {string=} optLogger The name of the logger that emitted the line.
+ * @return {when.Promise} a promise.
+ */
+JobLogModel.prototype.append = function(jobId, message, optLogger) {
+  var def = when.defer();
+
+  var line = JSON.stringify({
+    time: Date.now(),
+    message: message,
+    logger: optLogger || null
+  });
+  var key = JobLogModel.getKey(this.NS, jobId);
+  var max = this.ctx.config.get('jobLogMax');
+
+  this.client.multi()
+    .rpush(key, line)
+    .ltrim(key, -max, -1)
+    .exec(function(err) {
+      if (err) {
+        log.db('append() :: "rpush/ltrim/exec" Failed! err: ', err);
+        return def.reject(new kError.Database(err));
+      }
+      def.resolve();
+    });
+
+  return def.promise;
+};
+
+/**
+ * Read the log lines of a job, oldest first.
+ *
+ * @param {string} jobId The job id.
+ * @param {number=} optOffset Skip this many lines, default 0.
+ * @param {number=} optLimit Max lines to read, default 100.
+ * @return {when.Promise} a promise resolving to an Array of line Objects
+ *   with the keys time, message and logger.
+ */
+JobLogModel.prototype.fetch = function(jobId, optOffset, optLimit) {
+  var def = when.defer();
+
+  var offset = 0;
+  if (_.isNumber(optOffset) && 0 < optOffset) {
+    offset = Math.floor(optOffset);
+  }
+  var limit = JobLogModel.param.LIMIT;
+  if (_.isNumber(optLimit) && 0 < optLimit) {
+    limit = Math.floor(optLimit);
+  }
+
+  this.client.lrange(JobLogModel.getKey(this.NS, jobId), offset,
+    offset + limit - 1, function(err, lines) {
+    if (err) {
+      log.db('fetch() :: "lrange" Failed! err: ', err);
+      return def.reject(new kError.Database(err));
+    }
+
+    def.resolve(_.compact(lines.map(function(line) {
+      try {
+        return JSON.parse(line);
+      } catch(ex) {
+        log.warn('fetch() :: Line failed to parse. jobId, ex: ', jobId, ex);
+        return null;
+      }
+    })));
+  });
+
+  return def.promise;
+};
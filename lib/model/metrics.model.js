@@ -9,18 +9,19 @@ var log = logg.getLogger('kickq.model.Metrics');
 var EventModel = require('./event-model');
 // var states = require('./states');
 var channels = require('./channels');
-var kRedis = require('../utility/kredis');
+var serializer = require('./serializer');
 var utils = require('../utility/utilities');
 
 /**
  * The Metrics Model Class.
  *
+ * @param {Kickq.Context} ctx The context of the kickq instance.
  * @constructor
  * @extends {Kickq.EventModel}
  */
-var Metrics = module.exports = function() {
+var Metrics = module.exports = function(ctx) {
   log.finer('Ctor() :: Init');
-  EventModel.call(this);
+  EventModel.call(this, ctx);
 
   /** @type {?redis.CreateClient} redis client to use for pubsub */
   this.clientSub = null;
@@ -33,10 +34,12 @@ var Metrics = module.exports = function() {
    * @private
    */
   this.channels = [
-    channels.getKey(channels.Channels.CREATE),
-    channels.getKey(channels.Channels.QUEUED),
-    channels.getKey(channels.Channels.SUCCESS),
-    channels.getKey(channels.Channels.FAIL)
+    channels.getKey(this.NS, channels.Channels.CREATE),
+    channels.getKey(this.NS, channels.Channels.QUEUED),
+    channels.getKey(this.NS, channels.Channels.SUCCESS),
+    channels.getKey(this.NS, channels.Channels.FAIL),
+    channels.getKey(this.NS, channels.Channels.PROGRESS),
+    channels.getKey(this.NS, channels.Channels.EXPIRED)
   ];
 
 };
@@ -52,7 +55,7 @@ Metrics.prototype.start = function() {
   if (this._isOn) {return;}
   this._isOn = true;
 
-  this.clientSub = kRedis.client(true);
+  this.clientSub = this.ctx.redis.client(true);
   this.clientSub.on('message', this._onMessage.bind(this));
   this.channels.forEach(this.clientSub.subscribe.bind(this.clientSub));
 };
@@ -91,10 +94,10 @@ Metrics.prototype._onMessage = function(channel, message) {
   // get jobItem from JSON
   var publicJobItem;
   try {
-    publicJobItem = JSON.parse(message);
+    publicJobItem = serializer.get(this.ctx.config).decode(message);
   } catch(ex) {
     log.warn('_onMessage() :: Channel: ' + channel + ' published a message that' +
-      'failed to JSON.parse message, exception: ', message, ex);
+      ' failed to decode, exception: ', message, ex);
     return;
   }
 
@@ -113,6 +116,12 @@ Metrics.prototype._onMessage = function(channel, message) {
   case 3:
     eventType = 'fail';
     break;
+  case 4:
+    eventType = 'progress';
+    break;
+  case 5:
+    eventType = 'expired';
+    break;
   }
 
   // channel names and events emitted have identical values.
@@ -8,24 +8,40 @@ var when = require('when');
 var log = require('logg').getLogger('kickq.model.PopModel');
 
 var Model = require('./model');
-var kconfig = require('../utility/config');
 var kError = require('../utility/kerror');
 var JobModel = require('./job.model');
+var Queue = require('./queue.model');
+var RateLimitModel = require('./ratelimit.model');
+var SemaphoreModel = require('./semaphore.model');
 var states = require('./states');
-var kRedis = require('../utility/kredis');
+var priorities = require('./priorities');
+var Signal = require('./signal.model');
 
 /**
  * Fetching jobs from the db.
  *
+ * @param {Kickq.Context} ctx The context of the kickq instance.
  * @constructor
  * @extends {Kickq.Model}
  */
-var PopModel = module.exports = function() {
+var PopModel = module.exports = function(ctx) {
   log.finer('Ctor() :: Init');
-  Model.call(this);
+  Model.call(this, ctx);
 
   // fetch is blocking the connection, request a brand new one
-  this.clientBlocking = kRedis.client(true);
+  this.clientBlocking = this.ctx.redis.client(true);
+
+  /** @type {Kickq.Signal} The control signals model instance */
+  this.signal = Signal.getInstance(ctx);
+
+  /** @type {Kickq.RateLimitModel} The rate limits model instance */
+  this.rateLimit = new RateLimitModel(ctx);
+
+  /** @type {Kickq.SemaphoreModel} The global concurrency model instance */
+  this.semaphore = new SemaphoreModel(ctx);
+
+  /** @type {Object.<number>} JS timestamps until job names are rate limited */
+  this._limitedUntil = Object.create(null);
 
   /** @type {boolean} if instance has been disposed */
   this._disposed = false;
@@ -34,30 +50,138 @@ var PopModel = module.exports = function() {
 util.inherits(PopModel, Model);
 
 /**
- * Perform fetch operation.
+ * A map of internal operational parameters.
+ *
+ * @type {Object}
+ */
+PopModel.param = {
+  // seconds, max blocking while job names are skipped so they get picked
+  // up again once resumed or out of their rate limit
+  SKIPPED_FETCH_TIMEOUT: 1
+};
+
+/**
+ * Perform fetch operation, paused and rate limited job names are skipped.
+ * Queues of higher priority are listed first so blpop serves them first.
  *
  * @param {Array.<string>} jobNames Array of job names.
- * @return {when.Promise} a promise.
+ * @return {when.Promise} a promise, rejects with kError.RateLimited if all
+ *   job names are rate limited or paused, or if some were and nothing was
+ *   fetched in the meantime, with kError.Paused if all job names are paused.
  */
 PopModel.prototype.fetch = function(jobNames) {
   log.info('fetch() :: Init. jobNames: ' + util.inspect(jobNames));
 
-  var def = when.defer();
-
   if (!Array.isArray(jobNames)) {
     throw new TypeError('argument not an Array');
   }
 
+  var now = Date.now();
+  var candidates = jobNames.filter(function(jobName) {
+    return !this.signal.isPaused(jobName) &&
+      now >= (this._limitedUntil[jobName] || 0);
+  }, this);
+
+  return this._checkBudgets(candidates)
+    .then(this._blpop.bind(this, jobNames));
+};
+
+/**
+ * Skip the job names that have no budget left, their global concurrency
+ * slots are all taken or their rate limit is used up. Checked before
+ * popping so their jobs stay in the queue. Grouped rate limits depend on
+ * the job and are checked once popped.
+ *
+ * @param {Array.<string>} jobNames The job names to check.
+ * @return {when.Promise} a promise.
+ * @private
+ */
+PopModel.prototype._checkBudgets = function(jobNames) {
+  return when.all(jobNames.map(function(jobName) {
+    var waits = [0, 0];
+
+    var max = this.semaphore.getLimit(jobName);
+    if (null !== max) {
+      waits[0] = this.semaphore.isFull(jobName, max).then(function(isFull) {
+        return isFull ? SemaphoreModel.param.RETRY_INTERVAL : 0;
+      });
+    }
+
+    var limit = this.rateLimit.getLimit(jobName);
+    if (limit && !limit.groupBy) {
+      waits[1] = this.rateLimit.getWait(jobName, limit);
+    }
+
+    return when.all(waits).then(function(resolved) {
+      var wait = Math.max(resolved[0], resolved[1]);
+      if (0 < wait) {
+        log.fine('_checkBudgets() :: No budget left. Queue, wait: ', jobName,
+          wait);
+        this._limitedUntil[jobName] = Date.now() + wait;
+      }
+    }.bind(this));
+  }, this));
+};
+
+/**
+ * Block for a job of the job names that are not paused or rate limited.
+ *
+ * @param {Array.<string>} jobNames Array of job names.
+ * @return {when.Promise} a promise.
+ * @private
+ */
+PopModel.prototype._blpop = function(jobNames) {
+  var def = when.defer();
+
+  if (this._disposed) {
+    return def.promise;
+  }
+
+  var now = Date.now();
+  var wait = null;
+  var activeNames = jobNames.filter(function(jobName) {
+    if (this.signal.isPaused(jobName)) {
+      return false;
+    }
+    var limitedFor = (this._limitedUntil[jobName] || 0) - now;
+    if (0 < limitedFor) {
+      wait = null === wait ? limitedFor : Math.min(wait, limitedFor);
+      return false;
+    }
+    return true;
+  }, this);
+
   var blpopArgs = [];
-  jobNames.forEach(function(jobName){
-    blpopArgs.push(this.NS + ':queue:' + jobName);
-  }.bind(this));
+  // concurrent fetches share the instance, each keeps its own map
+  var queueNames = Object.create(null);
+  priorities.ORDERED.forEach(function(priority) {
+    activeNames.forEach(function(jobName) {
+      var queueKey = priorities.getQueueKey(this.NS, jobName, priority);
+      queueNames[queueKey] = jobName;
+      blpopArgs.push(queueKey);
+    }, this);
+  }, this);
+
+  if (0 === blpopArgs.length) {
+    if (null !== wait) {
+      def.reject(new kError.RateLimited(jobNames.join(', '), wait));
+    } else {
+      def.reject(new kError.Paused(jobNames.join(', ')));
+    }
+    return def.promise;
+  }
 
-  // set the timeout
-  blpopArgs.push(kconfig.get('fetchTimeout'));
+  // set the timeout, skipped job names need the fetch to return
+  var timeout = this.ctx.config.get('fetchTimeout');
+  var skipped = activeNames.length < jobNames.length;
+  if (skipped && (!timeout || PopModel.param.SKIPPED_FETCH_TIMEOUT < timeout)) {
+    timeout = PopModel.param.SKIPPED_FETCH_TIMEOUT;
+  }
+  blpopArgs.push(timeout);
 
   // set the callback
-  blpopArgs.push(this._onResponse.bind(this, def.resolver));
+  blpopArgs.push(this._onResponse.bind(this, def.resolver, queueNames,
+    skipped ? jobNames : null));
   // go
   this.clientBlocking.blpop.apply(this.clientBlocking, blpopArgs);
 
@@ -68,11 +192,15 @@ PopModel.prototype.fetch = function(jobNames) {
  * blpop response.
  *
  * @param {when.Resolver} resolver the promise resolver.
+ * @param {Object} queueNames The job names of the queue keys of the fetch.
+ * @param {?Array.<string>} skippedFrom The job names of the fetch if some
+ *   got skipped, their timeout is not an error.
  * @param {?string} err Error message.
  * @param {?Array} response response from db.
  * @private
  */
-PopModel.prototype._onResponse = function(resolver, err, response) {
+PopModel.prototype._onResponse = function(resolver, queueNames, skippedFrom,
+  err, response) {
   log.finer('_onResponse() :: Init. err: ', err);
   if (this._disposed) {
     return;
@@ -84,32 +212,206 @@ PopModel.prototype._onResponse = function(resolver, err, response) {
   }
 
   if (!Array.isArray(response)) {
-    resolver.reject(new kError.Timeout('fetch timeout exceeded'));
+    if (skippedFrom) {
+      resolver.reject(new kError.RateLimited(skippedFrom.join(', '), 0,
+        'Fetch again for the skipped job names'));
+    } else {
+      resolver.reject(new kError.Timeout('fetch timeout exceeded'));
+    }
     return;
   }
 
+  var queueKey = response[0];
   var jobId = response[1];
-  var jobModel = new JobModel(jobId);
+
+  // job name got paused while blocking, put the job back where it was.
+  var jobName = queueNames[queueKey];
+  if (this.signal.isPaused(jobName)) {
+    log.fine('_onResponse() :: Job name paused, returning job. jobId, Queue: ',
+      jobId, jobName);
+    this.client.lpush(queueKey, jobId);
+    resolver.reject(new kError.Paused(jobName));
+    return;
+  }
+
+  var jobModel = new JobModel(this.ctx, jobId);
 
   jobModel.fetch()
-    .then(this._onJobItemFetch.bind(this, resolver), resolver.reject)
-    .then(jobModel.dispose.bind(jobModel), resolver.reject);
+    .then(this._checkExpired.bind(this))
+    .then(this._checkConcurrency.bind(this, queueKey))
+    .then(this._checkRateLimit.bind(this, queueKey))
+    .then(this._onJobItemFetch.bind(this))
+    .then(resolver.resolve,
+      this._onCheckFail.bind(this, resolver, queueKey, jobId, jobModel))
+    .always(jobModel.dispose.bind(jobModel));
 };
 
 /**
- * When jobItem has been fetched, update state and resolve.
+ * A popped job did not make it to processing. Unless the job was taken care
+ * of (expired, rate limited, gone) it goes back to the head of its queue,
+ * along with any global concurrency slot it took.
  *
  * @param {when.Resolver} resolver the promise resolver.
+ * @param {string} queueKey The queue the job was popped from.
+ * @param {string} jobId The job id.
+ * @param {Kickq.JobModel} jobModel The job model of the popped job.
+ * @param {Error} err The error.
+ * @private
+ */
+PopModel.prototype._onCheckFail = function(resolver, queueKey, jobId,
+  jobModel, err) {
+  var handled = err instanceof kError.Expired ||
+    err instanceof kError.RateLimited ||
+    err instanceof kError.NoRecord ||
+    err instanceof kError.JSON;
+
+  if (!handled) {
+    log.warn('_onCheckFail() :: Returning job to its queue. jobId, err: ',
+      jobId, err);
+
+    var jobItem = jobModel.job;
+    if (jobItem && jobItem._hasSlot) {
+      jobItem._hasSlot = false;
+      this.semaphore.release(jobItem.name, jobItem.id);
+    }
+    this.client.lpush(queueKey, jobId);
+  }
+
+  resolver.reject(err);
+};
+
+/**
+ * Skip a job that is past its deadline, it moves to the "expired" state.
+ *
+ * @param {Kickq.JobItem} jobItem The job item.
+ * @return {when.Promise} a promise resolving to the job item, rejects with
+ *   kError.Expired if the job has expired.
+ * @private
+ */
+PopModel.prototype._checkExpired = function(jobItem) {
+  if (!jobItem.isExpired()) {
+    return when.resolve(jobItem);
+  }
+
+  log.fine('_checkExpired() :: Job expired. jobId, deadline, Queue: ',
+    jobItem.id, jobItem.deadline, jobItem.name);
+
+  var jobModel = new JobModel(this.ctx, jobItem);
+  var promise = jobModel.expire().then(function() {
+    throw new kError.Expired(jobItem);
+  });
+  promise.always(jobModel.dispose.bind(jobModel));
+  return promise;
+};
+
+/**
+ * Take a slot of the global concurrency of the job name, if it has one.
+ * When all slots are taken the job goes back to the head of its queue and
+ * the job name is skipped for a while.
+ *
+ * @param {string} queueKey The queue the job was popped from.
+ * @param {Kickq.JobItem} jobItem The job item.
+ * @return {when.Promise} a promise resolving to the job item, rejects with
+ *   kError.RateLimited if all slots are taken.
+ * @private
+ */
+PopModel.prototype._checkConcurrency = function(queueKey, jobItem) {
+  var max = this.semaphore.getLimit(jobItem.name);
+  if (null === max) {
+    return when.resolve(jobItem);
+  }
+
+  return this.semaphore.acquire(jobItem, max).then(function(acquired) {
+    if (acquired) {
+      jobItem._hasSlot = true;
+      return jobItem;
+    }
+
+    var wait = SemaphoreModel.param.RETRY_INTERVAL;
+    log.fine('_checkConcurrency() :: All slots taken. jobId, Queue, max: ',
+      jobItem.id, jobItem.name, max);
+
+    this._limitedUntil[jobItem.name] = Date.now() + wait;
+    this.client.lpush(queueKey, jobItem.id);
+    throw new kError.RateLimited(jobItem.name, wait,
+      'Global concurrency reached');
+  }.bind(this));
+};
+
+/**
+ * Take a slot of the rate limit of the job name, if it has one. When the
+ * limit is used up the job goes back to the head of its queue and the job
+ * name is skipped until the window expires. Jobs of a rate limit group are
+ * delayed instead, so other groups are not held back.
+ *
+ * @param {string} queueKey The queue the job was popped from.
+ * @param {Kickq.JobItem} jobItem The job item.
+ * @return {when.Promise} a promise resolving to the job item, rejects with
+ *   kError.RateLimited if the limit is used up.
+ * @private
+ */
+PopModel.prototype._checkRateLimit = function(queueKey, jobItem) {
+  var limit = this.rateLimit.getLimit(jobItem.name);
+  if (!limit) {
+    return when.resolve(jobItem);
+  }
+
+  var group = this.rateLimit.getGroup(limit, jobItem);
+
+  return this.rateLimit.acquire(jobItem.name, limit, group)
+    .then(function(wait) {
+      if (0 === wait) {
+        return jobItem;
+      }
+
+      log.fine('_checkRateLimit() :: Rate limited. jobId, Queue, group,' +
+        ' wait: ', jobItem.id, jobItem.name, group, wait);
+
+      if (jobItem._hasSlot) {
+        jobItem._hasSlot = false;
+        this.semaphore.release(jobItem.name, jobItem.id);
+      }
+
+      if (null === group) {
+        this._limitedUntil[jobItem.name] = Date.now() + wait;
+        this.client.lpush(queueKey, jobItem.id);
+        throw new kError.RateLimited(jobItem.name, wait);
+      }
+
+      return this._delayJob(jobItem, wait).then(function() {
+        throw new kError.RateLimited(jobItem.name, 0);
+      });
+    }.bind(this));
+};
+
+/**
+ * Move a popped job to the schedule.
+ *
+ * @param {Kickq.JobItem} jobItem The job item.
+ * @param {number} wait ms to delay the job for.
+ * @return {when.Promise} a promise.
+ * @private
+ */
+PopModel.prototype._delayJob = function(jobItem, wait) {
+  var queue = new Queue(this.ctx, jobItem);
+  return jobItem.setState(states.Job.DELAYED)
+    .then(queue.schedule.bind(queue, Date.now() + wait));
+};
+
+/**
+ * When jobItem has been fetched, update state.
+ *
  * @param {Kickq.JobItem} jobItem  the job item
+ * @return {when.Promise} a promise resolving to the job item.
  * @private
  */
-PopModel.prototype._onJobItemFetch = function(resolver, jobItem) {
+PopModel.prototype._onJobItemFetch = function(jobItem) {
   log.fine('_onJobItemFetch() :: Init. jobId, state, Queue: ', jobItem.id,
     jobItem.state, jobItem.name);
 
-  jobItem.setState(states.Job.PROCESSING).then(function(){
-    resolver.resolve(jobItem);
-  }, resolver.reject);
+  return jobItem.setState(states.Job.PROCESSING).then(function(){
+    return jobItem;
+  });
 };
 
 /**
@@ -0,0 +1,76 @@
+/**
+ * @fileoverview The job priorities supported by kickq, each priority level
+ *   has its own process queue per job name.
+ */
+var _ = require('underscore');
+
+var priorities = module.exports = {};
+
+/**
+ * The priority levels, higher gets processed first.
+ *
+ * @enum {number}
+ */
+priorities.Level = {
+  LOW: -1,
+  NORMAL: 0,
+  HIGH: 1,
+  CRITICAL: 2
+};
+
+/**
+ * The priority levels from highest to lowest, the order process queues
+ * are served in.
+ *
+ * @type {Array.<priorities.Level>}
+ */
+priorities.ORDERED = _.values(priorities.Level).sort(function(a, b) {
+  return b - a;
+});
+
+/**
+ * Resolve a priority option to its level. Accepts a level name
+ * (e.g. "high") or a number, numbers get rounded and capped to the
+ * available levels.
+ *
+ * @param {string|number|null|undefined} priority The priority option.
+ * @return {priorities.Level} The priority level.
+ * @throws {TypeError} if the priority is not valid.
+ */
+priorities.normalize = function(priority) {
+  if (null === priority || 'undefined' === typeof priority) {
+    return priorities.Level.NORMAL;
+  }
+
+  if (_.isString(priority)) {
+    var key = priority.toUpperCase();
+    if (!priorities.Level.hasOwnProperty(key)) {
+      throw new TypeError('Not a valid priority: ' + priority);
+    }
+    return priorities.Level[key];
+  }
+
+  if (_.isNumber(priority) && isFinite(priority)) {
+    var max = priorities.ORDERED[0];
+    var min = priorities.ORDERED[priorities.ORDERED.length - 1];
+    return Math.max(min, Math.min(max, Math.round(priority)));
+  }
+
+  throw new TypeError('Not a valid priority: ' + priority);
+};
+
+/**
+ * Return the key of the process queue of a job name and priority. Normal
+ * priority jobs use the plain "queue:[job name]" key.
+ *
+ * @param {string} ns The redis namespace.
+ * @param {string} jobName The job name.
+ * @param {priorities.Level=} optPriority The priority level.
+ * @return {string} The process queue key.
+ */
+priorities.getQueueKey = function(ns, jobName, optPriority) {
+  if (!optPriority) {
+    return ns + ':queue:' + jobName;
+  }
+  return ns + ':queue-priority:' + optPriority + ':' + jobName;
+};
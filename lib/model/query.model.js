@@ -0,0 +1,298 @@
+/**
+ * @fileoverview Query job items using the state sets and the time-index.
+ *
+ */
+var util = require('util');
+var _ = require('underscore');
+var when  = require('when');
+
+var log = require('logg').getLogger('kickq.model.QueryModel');
+
+var Model = require('./model');
+var JobModel = require('./job.model');
+var kError = require('../utility/kerror');
+var states = require('./states');
+
+/**
+ * The Query Class.
+ *
+ * @param {Kickq.Context} ctx The context of the kickq instance.
+ * @constructor
+ * @extends {Kickq.Model}
+ */
+var QueryModel = module.exports = function(ctx) {
+  log.finer('Ctor() :: Init');
+  Model.call(this, ctx);
+};
+util.inherits(QueryModel, Model);
+
+/**
+ * A map of internal operational parameters.
+ *
+ * @type {Object}
+ */
+QueryModel.param = {
+  // Default page size when listing
+  LIMIT: 100,
+
+  // ms a filtered listing is cached for the following pages
+  QUERY_TTL: 5000
+};
+
+/**
+ * The listing orders, by creation time.
+ *
+ * @enum {string}
+ */
+QueryModel.Order = {
+  ASC: 'asc',
+  DESC: 'desc'
+};
+
+/**
+ * Fetch many job items in one round trip.
+ *
+ * @param {Array.<string>} jobIds The job ids.
+ * @return {when.Promise} a promise resolving to an Array of job items,
+ *   null for each job id that has no record.
+ */
+QueryModel.prototype.getMany = function(jobIds) {
+  log.fine('getMany() :: Init. count: ', jobIds.length);
+  var def = when.defer();
+
+  if (0 === jobIds.length) {
+    def.resolve([]);
+    return def.promise;
+  }
+
+  var ctx = this.ctx;
+  var multi = this.client.multi();
+  jobIds.forEach(function(jobId) {
+    multi.hmget(this.NS + ':job:' + jobId, 'itemData', 'state', 'progress');
+  }, this);
+
+  multi.exec(function(err, responses) {
+    if (err) {
+      log.db('getMany() :: "exec" Failed! err: ', err);
+      return def.reject(new kError.Database(err));
+    }
+
+    var promises = responses.map(function(response, index) {
+      return JobModel.toJobItem(ctx, jobIds[index], response[0], response[1],
+        response[2]).otherwise(function(ex) {
+        if ( !(ex instanceof kError.NoRecord) ) {
+          log.warn('getMany() :: Job item failed to parse. jobId, ex: ',
+            jobIds[index], ex);
+        }
+        return null;
+      });
+    });
+
+    when.all(promises).then(def.resolve, def.reject);
+  });
+
+  return def.promise;
+};
+
+/**
+ * List job items, paging through the time-index and optionally
+ * filtering by state and job name.
+ *
+ * @param {Object=} optQuery The query, all keys optional:
+ *   - name {string} The job name.
+ *   - state {kickq.states.Job} The job state.
+ *   - from {number|Date} Created on or after.
+ *   - to {number|Date} Created on or before.
+ *   - offset {number} Skip this many matches, default 0.
+ *   - limit {number} Max job items to return, default 100.
+ *   - order {QueryModel.Order} By creation time, default "desc".
+ * @return {when.Promise} a promise resolving to an Array of job items.
+ */
+QueryModel.prototype.list = function(optQuery) {
+  var query;
+  try {
+    query = this._normalizeQuery(optQuery || {});
+  } catch(ex) {
+    return when.reject(ex);
+  }
+
+  log.fine('list() :: Init. name, state, from, to, offset, limit, order: ',
+    query.name, query.state, query.from, query.to, query.offset, query.limit,
+    query.order);
+
+  return this._getPage(query)
+    .then(this.getMany.bind(this))
+    .then(function(jobItems) {
+      // jobs may have been deleted in the meantime
+      return _.compact(jobItems);
+    });
+};
+
+/**
+ * Validate the query and apply defaults.
+ *
+ * @param {Object} query The query as passed by the consumer.
+ * @return {Object} A new query object.
+ * @throws {TypeError} if a query value is not valid.
+ * @private
+ */
+QueryModel.prototype._normalizeQuery = function(query) {
+  var out = {
+    name: null,
+    state: null,
+    from: '-inf',
+    to: '+inf',
+    offset: 0,
+    limit: QueryModel.param.LIMIT,
+    order: QueryModel.Order.DESC
+  };
+
+  if (_.isString(query.name)) {
+    out.name = query.name;
+  }
+
+  if (query.state) {
+    if (!_.contains(_.values(states.Job), query.state)) {
+      throw new TypeError('Not a valid job state: ' + query.state);
+    }
+    out.state = query.state;
+  }
+
+  ['from', 'to'].forEach(function(prop) {
+    var value = query[prop];
+    if (_.isDate(value)) {
+      value = value.getTime();
+    }
+    if (_.isNumber(value)) {
+      out[prop] = value;
+    }
+  });
+
+  if (_.isNumber(query.offset) && 0 < query.offset) {
+    out.offset = Math.floor(query.offset);
+  }
+  if (_.isNumber(query.limit) && 0 < query.limit) {
+    out.limit = Math.floor(query.limit);
+  }
+
+  if (query.order) {
+    if (!_.contains(_.values(QueryModel.Order), query.order)) {
+      throw new TypeError('Not a valid order: ' + query.order);
+    }
+    out.order = query.order;
+  }
+
+  return out;
+};
+
+/**
+ * Get the job ids of the requested page, properly ordered. The time-index
+ * gets paged by redis. When filtering by state or job name the matching
+ * part of it is stored in a cache key, kept for QUERY_TTL ms so the
+ * following pages do not scan the index again. Filtered listings may lag
+ * that long behind.
+ *
+ * @param {Object} query The normalized query.
+ * @return {when.Promise} a promise resolving to an Array of job ids.
+ * @private
+ */
+QueryModel.prototype._getPage = function(query) {
+  var def = when.defer();
+
+  if (!query.state && !query.name) {
+    var multi = this.client.multi();
+    this._rangeMulti(multi, this.NS + ':time-index', query);
+    this._execPage(multi, 0, def);
+    return def.promise;
+  }
+
+  var cacheKey = this.NS + ':query-tmp:' + (query.state || '') + ':' +
+    (query.name || '');
+
+  var cacheMulti = this.client.multi().exists(cacheKey);
+  this._rangeMulti(cacheMulti, cacheKey, query);
+  cacheMulti.exec(function(err, responses) {
+    if (err) {
+      log.db('_getPage() :: "exec" Failed! err: ', err);
+      return def.reject(new kError.Database(err));
+    }
+    if (1 === responses[0]) {
+      return def.resolve(responses[1] || []);
+    }
+    this._cachePage(cacheKey, query, def);
+  }.bind(this));
+
+  return def.promise;
+};
+
+/**
+ * Store the part of the time-index matching the state and job name of the
+ * query in the cache key and get the requested page off it.
+ *
+ * @param {string} cacheKey The cache key.
+ * @param {Object} query The normalized query.
+ * @param {when.Deferred} def The deferred of the page.
+ * @private
+ */
+QueryModel.prototype._cachePage = function(cacheKey, query, def) {
+  var multi = this.client.multi();
+  var timeKey = this.NS + ':time-index';
+  // position of the range command in the transaction
+  var rangeIndex = 0;
+
+  var filterKey;
+  if (query.state) {
+    filterKey = states.getKey(this.NS, query.state, query.name);
+  } else {
+    // a job name has no index of its own, all its state sets make one
+    var nameKeys = _.values(states.Job).map(function(state) {
+      return states.getKey(this.NS, state, query.name);
+    }, this);
+    multi.zunionstore([cacheKey, nameKeys.length].concat(nameKeys));
+    filterKey = cacheKey;
+    rangeIndex++;
+  }
+  // keep the creation time as the score
+  multi.zinterstore(cacheKey, 2, timeKey, filterKey, 'WEIGHTS', 1, 0);
+  multi.pexpire(cacheKey, QueryModel.param.QUERY_TTL);
+  rangeIndex += 2;
+
+  this._rangeMulti(multi, cacheKey, query);
+  this._execPage(multi, rangeIndex, def);
+};
+
+/**
+ * Append the command that reads the page off a time ordered key.
+ *
+ * @param {redis.Multi} multi The redis transaction.
+ * @param {string} key The time ordered key.
+ * @param {Object} query The normalized query.
+ * @private
+ */
+QueryModel.prototype._rangeMulti = function(multi, key, query) {
+  if (QueryModel.Order.ASC === query.order) {
+    multi.zrangebyscore(key, query.from, query.to, 'LIMIT', query.offset,
+      query.limit);
+  } else {
+    multi.zrevrangebyscore(key, query.to, query.from, 'LIMIT', query.offset,
+      query.limit);
+  }
+};
+
+/**
+ * Execute the transaction and resolve the page.
+ *
+ * @param {redis.Multi} multi The redis transaction.
+ * @param {number} rangeIndex Position of the range command.
+ * @param {when.Deferred} def The deferred of the page.
+ * @private
+ */
+QueryModel.prototype._execPage = function(multi, rangeIndex, def) {
+  multi.exec(function(err, responses) {
+    if (err) {
+      log.db('_getPage() :: "exec" Failed! err: ', err);
+      return def.reject(new kError.Database(err));
+    }
+    def.resolve(responses[rangeIndex] || []);
+  });
+};
@@ -11,22 +11,24 @@ var util = require('util');
 var log = require('logg').getLogger('kickq.model.Queue');
 
 var Model = require('./model');
-var kconfig = require('../utility/config');
 var Hotjob = require('./hotjob.model');
+var DeadLetterModel = require('./deadletter.model');
 var kError = require('../utility/kerror');
 var states = require('./states');
+var priorities = require('./priorities');
 var channels = require('./channels');
 
 /**
  * The State Class.
  *
+ * @param {Kickq.Context} ctx The context of the kickq instance.
  * @param {Kickq.JobItem} jobItem the job item.
  * @constructor
  * @extends {Kickq.Model}
  */
-var QueueModel = module.exports = function( jobItem ) {
+var QueueModel = module.exports = function( ctx, jobItem ) {
   log.finer('Ctor() :: Init');
-  Model.apply(this, arguments);
+  Model.call(this, ctx);
 
   /** @type {Kickq.JobItem} */
   this.job = jobItem;
@@ -53,6 +55,12 @@ QueueModel.prototype.save = function() {
       .then(this.checkHotjob.bind(this), def.reject)
       .then(def.resolve, def.reject);
     break;
+  case states.Job.WAITING:
+    // new jobs held until their parents succeed, no queueing.
+    this._publish(channels.Channels.CREATE);
+
+    this.checkHotjob().then(def.resolve, def.reject);
+    break;
   case states.Job.QUEUED:
     this.addToProcessQueue().then(def.resolve, def.reject);
     break;
@@ -72,10 +80,13 @@ QueueModel.prototype.save = function() {
     break;
   case states.Job.SUCCESS:
   case states.Job.FAIL:
+  case states.Job.EXPIRED:
     function pub() {
       if (states.Job.SUCCESS === this.job.state) {
         // emit complete event
         this._publish(channels.Channels.SUCCESS);
+      } else if (states.Job.EXPIRED === this.job.state) {
+        this._publish(channels.Channels.EXPIRED);
       } else {
         this._publish(channels.Channels.FAIL);
       }
@@ -83,8 +94,16 @@ QueueModel.prototype.save = function() {
       def.resolve();
     }
 
-    // nuke schedule
-    this.purgeSchedule().then(pub.bind(this), def.reject)
+    // nuke schedule, or keep finally failed jobs in the dead letters
+    var deadLetter = new DeadLetterModel(this.ctx);
+    var stored;
+    if (states.Job.FAIL === this.job.state &&
+      deadLetter.isEnabled(this.job.name)) {
+      stored = deadLetter.add(this.job);
+    } else {
+      stored = this.purgeSchedule();
+    }
+    stored.then(pub.bind(this), def.reject)
       .otherwise(def.reject);
     break;
 
@@ -97,15 +116,45 @@ QueueModel.prototype.save = function() {
 };
 
 /**
- * Add the job to the process queue, emit a publish event on redis.
+ * Append the commands that queue a new job to a redis transaction,
+ * publish events are included. Supports the "new", "waiting" and "delayed"
+ * states.
+ *
+ * Invoke before the job item itself is written to the transaction,
+ * delayed jobs get their "scheduledFor" property updated.
+ *
+ * @param {redis.Multi} multi The redis transaction.
+ * @throws {kError.InvalidState} if job is not in a new job state.
+ */
+QueueModel.prototype.saveMulti = function(multi) {
+  switch(this.job.state) {
+  case states.Job.NEW:
+    this._publish(channels.Channels.CREATE, multi);
+    multi.rpush( this._getQueueKey(), this.job.id);
+    this._publish(channels.Channels.QUEUED, multi);
+    break;
+  case states.Job.WAITING:
+    this._publish(channels.Channels.CREATE, multi);
+    break;
+  case states.Job.DELAYED:
+    this.job.scheduledFor = this._getScheduleTime();
+    multi.zadd( this.NS + ':scheduled', this.job.scheduledFor, this.job.id);
+    break;
+  default:
+    throw new kError.InvalidState(this.job);
+  }
+};
+
+/**
+ * Add the job to the process queue of its priority, emit a publish event
+ * on redis.
  *
  * @return {when.Promise} A promise.
  */
 QueueModel.prototype.addToProcessQueue = function() {
   var def = when.defer();
 
-  // kickq:queue:[ job name ]
-  var queueKey = this.NS + ':queue:' + this.job.name;
+  var queueKey = this._getQueueKey();
 
   this.client.rpush( queueKey, this.job.id, function(err) {
     if (err) {
@@ -122,13 +171,22 @@ QueueModel.prototype.addToProcessQueue = function() {
   return def.promise;
 };
 
+/**
+ * Append the progress publish events of the job to a redis transaction.
+ *
+ * @param {redis.Multi} multi The redis transaction.
+ */
+QueueModel.prototype.publishProgress = function(multi) {
+  this._publish(channels.Channels.PROGRESS, multi);
+};
+
 /**
  * Check if the job has the hotjob flag on and handle it.
  *
  * @return {when.Promise} A promise.
  */
 QueueModel.prototype.checkHotjob = function() {
-  var hotjob = new Hotjob(this.job);
+  var hotjob = new Hotjob(this.ctx, this.job);
   var promise = hotjob.check();
   return promise;
 };
@@ -136,11 +194,48 @@ QueueModel.prototype.checkHotjob = function() {
 /**
  * Schedule the job.
  *
+ * @param {number=} optScheduleFor JS timestamp, overrides the time the job
+ *   options define.
  * @return {when.Promise} A promise.
  */
-QueueModel.prototype.schedule = function() {
+QueueModel.prototype.schedule = function(optScheduleFor) {
+  var scheduleFor = _.isNumber(optScheduleFor) ? optScheduleFor :
+    this._getScheduleTime();
+  return this._scheduleRedis('scheduled', scheduleFor);
+};
+
+/**
+ * Figure out when the job should move back to the process queue.
+ *
+ * @return {number} JS timestamp, NaN if the state has no delay.
+ * @private
+ */
+QueueModel.prototype._getScheduleTime = function() {
+  switch(this.job.state) {
+  case states.Job.DELAYED:
+    if (_.isNumber(this.job.runAt)) {
+      return this.job.runAt;
+    }
+    break;
+  case states.Job.RETRY:
+  case states.Job.GHOST:
+    // computed by the backoff strategy
+    if (_.isNumber(this.job.nextAttemptTime)) {
+      return this.job.nextAttemptTime;
+    }
+    break;
+  }
 
-  // figure out when this job should move back to the process queue
+  return Date.now() + this._getDelay();
+};
+
+/**
+ * Figure out in how long the job should move back to the process queue.
+ *
+ * @return {number|undefined} delay in miliseconds.
+ * @private
+ */
+QueueModel.prototype._getDelay = function() {
   var delay;
   switch(this.job.state) {
   case states.Job.DELAYED:
@@ -154,7 +249,7 @@ QueueModel.prototype.schedule = function() {
     break;
   }
 
-  return this._scheduleRedis('scheduled', delay);
+  return delay;
 };
 
 /**
@@ -163,9 +258,9 @@ QueueModel.prototype.schedule = function() {
  * @return {when.Promise} A promise.
  */
 QueueModel.prototype.purgeSchedule = function() {
-  var delay = kconfig.get('purgeTimeout');
+  var delay = this.ctx.config.get('purgeTimeout');
 
-  return this._scheduleRedis('scheduled-purge', delay);
+  return this._scheduleRedis('scheduled-purge', Date.now() + delay);
 };
 
 
@@ -174,19 +269,18 @@ QueueModel.prototype.purgeSchedule = function() {
  * Create the actual scheduling record in redis.
  *
  * @param {string} queue The queue, one of 'scheduled', 'scheduled-purge'.
- * @param {number} delay delay in miliseconds.
+ * @param {number} scheduleFor JS timestamp.
  * @return {when.Promise} A promise.
  * @private
  */
-QueueModel.prototype._scheduleRedis = function(queue, delay) {
+QueueModel.prototype._scheduleRedis = function(queue, scheduleFor) {
   log.finer('_scheduleRedis() :: Init. jobId, queue: ', this.job.id, queue);
   var def = when.defer();
 
   // save any bloopers with a 5' scheduling
-  if (!_.isNumber(delay)) {
-    delay = 300000;
+  if (!_.isFinite(scheduleFor)) {
+    scheduleFor = Date.now() + 300000;
   }
-  var scheduleFor = Date.now() + delay;
   // update the job item
   this.job.scheduledFor = scheduleFor;
   this.job.save()
@@ -208,13 +302,25 @@ QueueModel.prototype._scheduleRedis = function(queue, delay) {
  * Publish a redis message
  *
  * @param  {kickq.channels.Channels} publishType 'complete' or 'fail'.
+ * @param  {redis.Multi=} optMulti Optionally publish within a transaction.
  * @private
  */
-QueueModel.prototype._publish = function(publishType) {
+QueueModel.prototype._publish = function(publishType, optMulti) {
   log.finer('_publish() :: Init. type, jobId, channel: ', publishType,
-    this.job.id, channels.getKey(publishType));
+    this.job.id, channels.getKey(this.NS, publishType));
   var jobSerialized = this.job.getPublicJSON();
+  var client = optMulti || this.client;
 
-  this.client.publish( channels.getKey(publishType, this.job.name), jobSerialized );
-  this.client.publish( channels.getKey(publishType), jobSerialized );
+  client.publish( channels.getKey(this.NS, publishType, this.job.name), jobSerialized );
+  client.publish( channels.getKey(this.NS, publishType), jobSerialized );
+};
+
+/**
+ * Return the key of the process queue for the job's name and priority.
+ *
+ * @return {string} The process queue key.
+ * @private
+ */
+QueueModel.prototype._getQueueKey = function() {
+  return priorities.getQueueKey(this.NS, this.job.name, this.job.priority);
 };
@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Rate limits per job name, shared by the workers of all
+ *   processes. Each limit is a fixed window counter in redis, the window
+ *   starts with the first job and expires after the limit's duration.
+ */
+var util = require('util');
+var _ = require('underscore');
+var when  = require('when');
+
+var log = require('logg').getLogger('kickq.model.RateLimitModel');
+
+var Model = require('./model');
+var kError = require('../utility/kerror');
+
+/**
+ * Takes one slot of the window, starting the window if needed.
+ *
+ * KEYS: the window counter.
+ * ARGV: the max jobs, the duration in ms.
+ *
+ * Returns 0 if a slot was taken, or the ms until the window expires.
+ *
+ * @const {string}
+ */
+var ACQUIRE_SCRIPT = [
+  'local count = redis.call("incr", KEYS[1])',
+  'if count == 1 then redis.call("pexpire", KEYS[1], ARGV[2]) end',
+  'if count <= tonumber(ARGV[1]) then return 0 end',
+  'local ttl = redis.call("pttl", KEYS[1])',
+  'if ttl < 0 then',
+  '  redis.call("pexpire", KEYS[1], ARGV[2])',
+  '  ttl = tonumber(ARGV[2])',
+  'end',
+  'return math.max(ttl, 1)'
+].join('\n');
+
+/**
+ * @param {*} value The value.
+ * @return {boolean} If the value is a number not less than 1.
+ */
+var isPositive = function(value) {
+  return _.isNumber(value) && 1 <= value;
+};
+
+/**
+ * The Rate Limit Class.
+ *
+ * @param {Kickq.Context} ctx The context of the kickq instance.
+ * @constructor
+ * @extends {Kickq.Model}
+ */
+var RateLimitModel = module.exports = function(ctx) {
+  log.finer('Ctor() :: Init');
+  Model.call(this, ctx);
+};
+util.inherits(RateLimitModel, Model);
+
+/**
+ * Resolve a rate limit option to a limit object with the keys:
+ *   - max {number} Jobs allowed per window.
+ *   - duration {number} ms, the window length.
+ *   - groupBy {?string} A field of the job data, each value of it gets its
+ *       own limit.
+ *
+ * @param {?Object} option The rate limit option.
+ * @return {?Object} The limit object or null if no limit.
+ * @throws {TypeError} if the option is not valid.
+ */
+RateLimitModel.normalize = function(option) {
+  if (null === option || 'undefined' === typeof option) {
+    return null;
+  }
+
+  if (!_.isObject(option) || !isPositive(option.max) ||
+    !isPositive(option.duration)) {
+    throw new TypeError('Rate limit needs a positive "max" and "duration"');
+  }
+
+  var groupBy = option.groupBy || null;
+  if (null !== groupBy && !_.isString(groupBy)) {
+    throw new TypeError('Rate limit "groupBy" not a string: ' + groupBy);
+  }
+
+  return {
+    max: Math.floor(option.max),
+    duration: Math.floor(option.duration),
+    groupBy: groupBy
+  };
+};
+
+/**
+ * Get the rate limit of a job name from the config, "jobFlags" first.
+ *
+ * @param {string} jobName The job name.
+ * @return {?Object} The limit object or null if no limit.
+ */
+RateLimitModel.prototype.getLimit = function(jobName) {
+  var configOpts = this.ctx.config.getJob(jobName);
+  var option = configOpts.hasOwnProperty('rateLimit') ?
+    configOpts.rateLimit : this.ctx.config.get('rateLimit');
+
+  try {
+    return RateLimitModel.normalize(option);
+  } catch(ex) {
+    log.warn('getLimit() :: Rate limit ignored. jobName, ex: ', jobName, ex);
+    return null;
+  }
+};
+
+/**
+ * Get the group of a job as defined by the "groupBy" field of the limit.
+ *
+ * @param {Object} limit The limit object.
+ * @param {Kickq.JobItem} jobItem The job item.
+ * @return {?string} The group or null if the limit is not grouped or the
+ *   job data has no such field.
+ */
+RateLimitModel.prototype.getGroup = function(limit, jobItem) {
+  if (!limit.groupBy || !_.isObject(jobItem.data)) {
+    return null;
+  }
+
+  var value = jobItem.data[limit.groupBy];
+  if (null === value || 'undefined' === typeof value) {
+    return null;
+  }
+  return value + '';
+};
+
+/**
+ * Take a slot of the rate limit for a job.
+ *
+ * @param {string} jobName The job name.
+ * @param {Object} limit The limit object.
+ * @param {?string} group The group of the job.
+ * @return {when.Promise} a promise resolving to 0 if a slot was taken or
+ *   the ms to wait for the next window.
+ */
+RateLimitModel.prototype.acquire = function(jobName, limit, group) {
+  var def = when.defer();
+
+  this.client.eval(ACQUIRE_SCRIPT, 1, this._getKey(jobName, group), limit.max,
+    limit.duration,
+    function(err, wait) {
+    if (err) {
+      log.db('acquire() :: "eval" Failed! err: ', err);
+      return def.reject(new kError.Database(err));
+    }
+    def.resolve(wait);
+  });
+
+  return def.promise;
+};
+
+/**
+ * Check the rate limit of a job name without taking a slot.
+ *
+ * @param {string} jobName The job name.
+ * @param {Object} limit The limit object.
+ * @return {when.Promise} a promise resolving to 0 if a slot is left or
+ *   the ms to wait for the next window.
+ */
+RateLimitModel.prototype.getWait = function(jobName, limit) {
+  var def = when.defer();
+
+  var key = this._getKey(jobName, null);
+  this.client.multi()
+    .get(key)
+    .pttl(key)
+    .exec(function(err, response) {
+      if (err) {
+        log.db('getWait() :: "get/pttl/exec" Failed! err: ', err);
+        return def.reject(new kError.Database(err));
+      }
+
+      var count = parseInt(response[0], 10) || 0;
+      if (count < limit.max) {
+        return def.resolve(0);
+      }
+      // a window without expiry gets one on the next acquire
+      def.resolve(Math.max(Number(response[1]), 1));
+    });
+
+  return def.promise;
+};
+
+/**
+ * Get the window counter key of a job name and group.
+ *
+ * @param {string} jobName The job name.
+ * @param {?string} group The group of the job.
+ * @return {string} The key.
+ * @private
+ */
+RateLimitModel.prototype._getKey = function(jobName, group) {
+  var key = this.NS + ':ratelimit:' + jobName;
+  if (null !== group) {
+    key += ':' + group;
+  }
+  return key;
+};
@@ -0,0 +1,348 @@
+/**
+ * @fileoverview Recurring job definitions driven by cron expressions.
+ *
+ * Definitions are stored in a hash keyed by job name, the time of the next
+ * occurrence of each definition is kept in a sorted set which the scheduler
+ * polls. An occurrence is claimed by moving its score forward, only the
+ * process that moves it creates the job.
+ */
+var util = require('util');
+var _ = require('underscore');
+var when  = require('when');
+var cronParser = require('cron-parser');
+
+var log = require('logg').getLogger('kickq.model.RecurringModel');
+
+var Model = require('./model');
+var serializer = require('./serializer');
+var kError = require('../utility/kerror');
+
+/**
+ * Moves the next occurrence of a definition forward, only if it still is
+ * the occurrence the caller read.
+ *
+ * KEYS: the next occurrences sorted set.
+ * ARGV: the job name, the read score, the new score.
+ *
+ * @const {string}
+ */
+var CLAIM_SCRIPT = [
+  'if redis.call("zscore", KEYS[1], ARGV[1]) ~= ARGV[2] then return 0 end',
+  'redis.call("zadd", KEYS[1], ARGV[3], ARGV[1])',
+  'return 1'
+].join('\n');
+
+/**
+ * The Recurring Class.
+ *
+ * @param {Kickq.Context} ctx The context of the kickq instance.
+ * @constructor
+ * @extends {Kickq.Model}
+ */
+var RecurringModel = module.exports = function(ctx) {
+  log.finer('Ctor() :: Init');
+  Model.call(this, ctx);
+
+  /** @type {string} The hash of the definitions keyed by job name */
+  this.key = this.NS + ':recurring';
+
+  /** @type {string} The sorted set of the next occurrence per job name */
+  this.nextKey = this.NS + ':recurring-next';
+};
+util.inherits(RecurringModel, Model);
+
+/**
+ * A map of internal operational parameters.
+ *
+ * @type {Object}
+ */
+RecurringModel.param = {
+  // Default count of occurrences when listing upcoming ones
+  LIMIT: 10
+};
+
+/**
+ * Get the time of the occurrence that follows the provided time.
+ *
+ * @param {string} cron The cron expression.
+ * @param {?string} tz The timezone, e.g. "Europe/Athens", null for UTC.
+ * @param {number} fromTime JS timestamp.
+ * @return {number} JS timestamp.
+ * @throws {TypeError} if the cron expression or timezone is not valid.
+ */
+RecurringModel.getNext = function(cron, tz, fromTime) {
+  var options = {currentDate: new Date(fromTime)};
+  if (tz) {
+    options.tz = tz;
+  } else {
+    options.utc = true;
+  }
+
+  var next;
+  try {
+    next = cronParser.parseExpression(cron, options).next().getTime();
+  } catch(ex) {
+    throw new TypeError('Not a valid cron expression: ' + cron + ' ' + ex);
+  }
+
+  if (!_.isFinite(next)) {
+    throw new TypeError('Not a valid cron expression or timezone: ' + cron +
+      ' ' + tz);
+  }
+
+  return next;
+};
+
+/**
+ * Store a recurring definition, replaces any existing one of the job name.
+ *
+ * @param {Object} definition The definition, with the keys name, cron, tz,
+ *   data, opts and createTime.
+ * @return {when.Promise} a promise resolving to the definition with the
+ *   "nextRun" key added.
+ */
+RecurringModel.prototype.save = function(definition) {
+  log.fine('save() :: Init. name, cron, tz: ', definition.name,
+    definition.cron, definition.tz);
+  var def = when.defer();
+
+  var serialized;
+  var nextRun;
+  try {
+    nextRun = RecurringModel.getNext(definition.cron, definition.tz,
+      Date.now());
+    serialized = serializer.get(this.ctx.config).encode(definition);
+  } catch(ex) {
+    def.reject(ex instanceof TypeError ? ex : new kError.JSON(ex));
+    return def.promise;
+  }
+
+  this.client.multi()
+    .hset(this.key, definition.name, serialized)
+    .zadd(this.nextKey, nextRun, definition.name)
+    .exec(function(err) {
+      if (err) {
+        log.db('save() :: "hset/zadd/exec" Failed! err: ', err);
+        return def.reject(new kError.Database(err));
+      }
+      def.resolve(_.extend({nextRun: nextRun}, definition));
+    });
+
+  return def.promise;
+};
+
+/**
+ * Remove the recurring definition of a job name.
+ *
+ * @param {string} name The job name.
+ * @return {when.Promise} a promise resolving to a boolean, false if no
+ *   definition existed.
+ */
+RecurringModel.prototype.remove = function(name) {
+  log.fine('remove() :: Init. name: ', name);
+  var def = when.defer();
+
+  this.client.multi()
+    .hdel(this.key, name)
+    .zrem(this.nextKey, name)
+    .exec(function(err, response) {
+      if (err) {
+        log.db('remove() :: "hdel/zrem/exec" Failed! err: ', err);
+        return def.reject(new kError.Database(err));
+      }
+      def.resolve(0 < response[0]);
+    });
+
+  return def.promise;
+};
+
+/**
+ * Fetch the recurring definitions with their next occurrence.
+ *
+ * @param {string=} optName Optionally fetch the definition of a job name.
+ * @return {when.Promise} a promise resolving to an Array of definitions.
+ */
+RecurringModel.prototype.fetch = function(optName) {
+  var def = when.defer();
+  var multi = this.client.multi();
+
+  if (optName) {
+    multi.hget(this.key, optName).zscore(this.nextKey, optName);
+  } else {
+    multi.hgetall(this.key).zrange(this.nextKey, 0, -1, 'WITHSCORES');
+  }
+
+  multi.exec(function(err, response) {
+    if (err) {
+      log.db('fetch() :: "exec" Failed! err: ', err);
+      return def.reject(new kError.Database(err));
+    }
+
+    var serialized = Object.create(null);
+    var nextRuns = Object.create(null);
+    if (optName) {
+      if (response[0]) {
+        serialized[optName] = response[0];
+        nextRuns[optName] = Number(response[1]);
+      }
+    } else {
+      _.extend(serialized, response[0]);
+      for (var i = 0; i < response[1].length; i += 2) {
+        nextRuns[response[1][i]] = Number(response[1][i + 1]);
+      }
+    }
+
+    var codec = serializer.get(this.ctx.config);
+    var definitions = [];
+    _.keys(serialized).forEach(function(name) {
+      var definition;
+      try {
+        definition = codec.decode(serialized[name]);
+      } catch(ex) {
+        log.warn('fetch() :: Definition failed to parse, unscheduling it.' +
+          ' name, ex: ', name, ex);
+        this._unscheduleNext(name);
+        return;
+      }
+      definition.nextRun = nextRuns[name] || null;
+      definitions.push(definition);
+    }, this);
+
+    def.resolve(definitions);
+  }.bind(this));
+
+  return def.promise;
+};
+
+/**
+ * List the upcoming occurrences of the recurring definitions.
+ *
+ * @param {string=} optName Optionally list occurrences of a job name only.
+ * @param {number=} optLimit Max occurrences to list, default 10.
+ * @return {when.Promise} a promise resolving to an Array of occurrence
+ *   objects, ordered by time, with the keys name, cron, tz and runAt.
+ */
+RecurringModel.prototype.upcoming = function(optName, optLimit) {
+  var limit = RecurringModel.param.LIMIT;
+  if (_.isNumber(optLimit) && 0 < optLimit) {
+    limit = Math.floor(optLimit);
+  }
+
+  return this.fetch(optName).then(function(definitions) {
+    var occurrences = [];
+    definitions.forEach(function(definition) {
+      if (!definition.nextRun) {
+        return;
+      }
+      var runAt = definition.nextRun;
+      for (var i = 0; i < limit; i++) {
+        occurrences.push({
+          name: definition.name,
+          cron: definition.cron,
+          tz: definition.tz,
+          runAt: runAt
+        });
+        runAt = RecurringModel.getNext(definition.cron, definition.tz, runAt);
+      }
+    });
+
+    return _.sortBy(occurrences, 'runAt').slice(0, limit);
+  });
+};
+
+/**
+ * Claim the occurrences that are due up to the provided time. Each one is
+ * claimed by a single process, its next occurrence gets stored. Missed
+ * occurrences are collapsed into one.
+ *
+ * @param {number} until JS timestamp.
+ * @return {when.Promise} a promise resolving to an Array of Objects with
+ *   the keys "definition" and "runAt", the occurrences claimed.
+ */
+RecurringModel.prototype.claimDue = function(until) {
+  var def = when.defer();
+
+  this.client.zrangebyscore(this.nextKey, '-inf', until, 'WITHSCORES',
+    function(err, response) {
+    if (err) {
+      log.db('claimDue() :: "zrangebyscore" Failed! err: ', err);
+      return def.reject(new kError.Database(err));
+    }
+
+    var promises = [];
+    for (var i = 0; i < response.length; i += 2) {
+      promises.push(this._claim(response[i], response[i + 1]));
+    }
+
+    when.all(promises).then(function(claimed) {
+      def.resolve(_.compact(claimed));
+    }, def.reject);
+  }.bind(this));
+
+  return def.promise;
+};
+
+/**
+ * Claim the occurrence of a definition.
+ *
+ * @param {string} name The job name.
+ * @param {string} score The score of the occurrence as read.
+ * @return {when.Promise} a promise resolving to the claimed occurrence
+ *   or null if another process claimed it.
+ * @private
+ */
+RecurringModel.prototype._claim = function(name, score) {
+  var def = when.defer();
+
+  this.fetch(name).then(function(definitions) {
+    var definition = definitions[0];
+    // unscheduled in the meantime
+    if (!definition) {
+      return def.resolve(null);
+    }
+
+    var runAt = Number(score);
+    var nextRun;
+    try {
+      nextRun = RecurringModel.getNext(definition.cron, definition.tz,
+        Math.max(runAt, Date.now()));
+    } catch(ex) {
+      log.warn('_claim() :: Definition not valid, unscheduling it. name,' +
+        ' ex: ', name, ex);
+      this._unscheduleNext(name);
+      return def.resolve(null);
+    }
+
+    this.client.eval(CLAIM_SCRIPT, 1, this.nextKey, name, score, nextRun,
+      function(err, claimed) {
+      if (err) {
+        log.db('_claim() :: "eval" Failed! err: ', err);
+        return def.reject(new kError.Database(err));
+      }
+      if (1 !== claimed) {
+        return def.resolve(null);
+      }
+      def.resolve({
+        definition: definition,
+        runAt: runAt
+      });
+    });
+  }.bind(this), def.reject);
+
+  return def.promise;
+};
+
+/**
+ * Remove the next occurrence of a definition that cannot be run so it is
+ * not polled again, the definition itself is kept.
+ *
+ * @param {string} name The job name.
+ * @private
+ */
+RecurringModel.prototype._unscheduleNext = function(name) {
+  this.client.zrem(this.nextKey, name, function(err) {
+    if (err) {
+      log.db('_unscheduleNext() :: "zrem" Failed! err: ', err);
+    }
+  });
+};
@@ -9,26 +9,27 @@ var util = require('util');
 var log = require('logg').getLogger('kickq.model.Scheduler');
 
 var Model = require('./model');
-var kconfig = require('../utility/config');
 var JobModel = require('./job.model');
 var JobItem = require('./job.item.js');
-// var kError = require('../utility/kerror');
+var RecurringModel = require('./recurring.model');
+var kError = require('../utility/kerror');
 var states = require('./states');
 var Queue = require('./queue.model');
 
 /**
  * The Scheduler class
  *
+ * @param {Kickq.Context} ctx The context of the kickq instance.
  * @constructor
  * @extends {Kickq.Model}
  */
-var Scheduler = module.exports = function() {
+var Scheduler = module.exports = function(ctx) {
   log.finer('Ctor() :: Init');
-  Model.apply(this, arguments);
+  Model.call(this, ctx);
 
-  this.intervalTime = kconfig.get('schedulerInterval');
-  this.fuzz = kconfig.get('schedulerFuzz');
-  this.lookAhead = kconfig.get('schedulerLookAhead');
+  this.intervalTime = this.ctx.config.get('schedulerInterval');
+  this.fuzz = this.ctx.config.get('schedulerFuzz');
+  this.lookAhead = this.ctx.config.get('schedulerLookAhead');
 
   /** @type {Array} The queues that the scheduler will check */
   this.queues = [
@@ -39,10 +40,19 @@ var Scheduler = module.exports = function() {
   /** @type {?Object} timeout index ref */
   this._pongTimeout = null;
 
+  /** @type {boolean} If the scheduler has stopped polling */
+  this._stopped = false;
+
+  /**
+   * @type {Array.<Object>} Jobs lined up in RAM waiting for their scheduled
+   *   time, objects with the keys "action", "restore" and "timeout".
+   */
+  this._lineups = [];
+
   // listen for changes in config
-  kconfig.on('schedulerInterval', this._onConfigChange.bind(this));
-  kconfig.on('schedulerFuzz', this._onConfigChange.bind(this));
-  kconfig.on('schedulerLookAhead', this._onConfigChange.bind(this));
+  this.ctx.config.on('schedulerInterval', this._onConfigChange.bind(this));
+  this.ctx.config.on('schedulerFuzz', this._onConfigChange.bind(this));
+  this.ctx.config.on('schedulerLookAhead', this._onConfigChange.bind(this));
 };
 util.inherits(Scheduler, Model);
 
@@ -93,6 +103,10 @@ Scheduler.prototype._ping = function() {
   clearTimeout(this._pongTimeout);
   this._pongTimeout = null;
 
+  if (this._stopped) {
+    return;
+  }
+
   var promises = [];
   this.queues.forEach(function(queue){
     var key = this.NS + ':' + queue;
@@ -103,15 +117,67 @@ Scheduler.prototype._ping = function() {
     promises.push(promise);
   }, this);
 
+  promises.push(this._pollRecurring());
+  promises.push(this._sweepExpired());
+
   when.all(promises).always(this._pong.bind(this));
 };
 
+/**
+ * Expire the jobs past their deadline that have not started processing,
+ * each one is taken off the deadlines index by a single process.
+ *
+ * @return {when.Promise} a promise, always resolves.
+ * @private
+ */
+Scheduler.prototype._sweepExpired = function() {
+  var def = when.defer();
+  var key = this.NS + ':deadlines';
+  var now = Date.now();
+
+  this.client.multi()
+    .zrangebyscore(key, '-inf', now)
+    .zremrangebyscore(key, '-inf', now)
+    .exec(function(err, res) {
+      if (err) {
+        log.db('_sweepExpired() :: exec() Error: ', err);
+        return def.resolve();
+      }
+
+      when.all(res[0].map(this._expireJob, this)).always(def.resolve);
+    }.bind(this));
+
+  return def.promise;
+};
+
+/**
+ * Expire a job found by the sweeper.
+ *
+ * @param {string} jobId The job id.
+ * @return {when.Promise} a promise, always resolves.
+ * @private
+ */
+Scheduler.prototype._expireJob = function(jobId) {
+  var jobModel = new JobModel(this.ctx, jobId);
+
+  return jobModel.fetch()
+    .then(jobModel.sweep.bind(jobModel))
+    .otherwise(function(err) {
+      log.warn('_expireJob() :: Failed. jobId, err: ', jobId, err);
+    })
+    .always(jobModel.dispose.bind(jobModel));
+};
+
 /**
  * Polling sleep.
  *
  * @private
  */
 Scheduler.prototype._pong = function() {
+  if (this._stopped) {
+    return;
+  }
+
   // get a random integer in the range of 0 to this.fuzz
   var fuzz = Math.floor(Math.random() * (this.fuzz - 0 + 1)) + 0;
 
@@ -171,7 +237,7 @@ Scheduler.prototype._onZpopResponse = function(queue, jobIds) {
   // fetch the job items for all job ids fetched.
   var jobModel;
   jobIds.forEach(function(jobId){
-    jobModel = new JobModel(jobId);
+    jobModel = new JobModel(this.ctx, jobId);
     promises.push(
       jobModel.fetch().then(
         this._lineupForQueue.bind(this, queue),
@@ -235,42 +301,175 @@ Scheduler.prototype._lineupForQueue = function(queue, jobItem) {
     break;
   }
 
-  // queue on ram
-  setTimeout(action, timediff);
+  // queue on ram, on shutdown the job goes back to its schedule
+  this._lineup(action, timediff,
+    this._restoreToQueue.bind(this, queue, jobItem));
 
   // sync fn
   return when.resolve();
 };
 
+/**
+ * Claim the recurring occurrences due within the look ahead window and
+ * line up the creation of their jobs.
+ *
+ * @return {when.Promise} a promise, always resolves.
+ * @private
+ */
+Scheduler.prototype._pollRecurring = function() {
+  var recurringModel = new RecurringModel(this.ctx);
+
+  return recurringModel.claimDue(Date.now() + this.lookAhead)
+    .then(function(occurrences) {
+      occurrences.forEach(function(occurrence) {
+        var timediff = Math.max(0, occurrence.runAt - Date.now());
+        var action = this._createOccurrence.bind(this, occurrence.definition,
+          occurrence.runAt);
+        // the occurrence is claimed, on shutdown its job gets delayed
+        this._lineup(action, timediff, action);
+      }, this);
+    }.bind(this), this._handleErrors.bind(this, 'recurring'));
+};
+
+/**
+ * Create the job of a recurring occurrence. If created ahead of time, e.g.
+ * on shutdown, the job is delayed until the occurrence.
+ *
+ * @param {Object} definition The recurring definition.
+ * @param {number} runAt JS timestamp of the occurrence.
+ * @return {when.Promise} a promise.
+ * @private
+ */
+Scheduler.prototype._createOccurrence = function(definition, runAt) {
+  log.finest('_createOccurrence() :: Init. name, runAt: ', definition.name,
+    runAt);
+
+  var opts = _.extend({}, definition.opts);
+  if (runAt > Date.now()) {
+    opts.runAt = runAt;
+  }
+
+  var jobItem = new JobItem(this.ctx);
+  jobItem.name = definition.name;
+  jobItem.data = definition.data;
+  try {
+    jobItem.initialize(opts);
+  } catch(ex) {
+    log.warn('_createOccurrence() :: Options not valid. name, ex: ',
+      definition.name, ex);
+    return when.reject(ex);
+  }
+
+  var jobModel = new JobModel(this.ctx, jobItem);
+  return jobModel.create();
+};
+
+/**
+ * Line up an action in RAM to run after the provided time.
+ *
+ * @param {Function} action The action, returns a promise.
+ * @param {number} timediff ms to wait before running it.
+ * @param {Function} restore Runs instead of the action on shutdown, keeps
+ *   the timing of the job. Returns a promise.
+ * @private
+ */
+Scheduler.prototype._lineup = function(action, timediff, restore) {
+  var lineup = {
+    action: action,
+    restore: restore,
+    timeout: null
+  };
+  lineup.timeout = setTimeout(this._runLineup.bind(this, lineup), timediff);
+  this._lineups.push(lineup);
+};
+
+/**
+ * Run a lined up action.
+ *
+ * @param {Object} lineup The lined up action.
+ * @return {when.Promise} a promise.
+ * @private
+ */
+Scheduler.prototype._runLineup = function(lineup) {
+  var index = this._lineups.indexOf(lineup);
+  if (-1 < index) {
+    this._lineups.splice(index, 1);
+  }
+  clearTimeout(lineup.timeout);
+
+  return lineup.action();
+};
+
+/**
+ * Remove all lined up actions, their timeouts get cleared.
+ *
+ * @return {Array.<Object>} The removed lined up actions.
+ * @private
+ */
+Scheduler.prototype._clearLineups = function() {
+  var lineups = this._lineups;
+  this._lineups = [];
+  lineups.forEach(function(lineup) {
+    clearTimeout(lineup.timeout);
+  });
+  return lineups;
+};
+
+/**
+ * Put a job taken off a schedule back on it, at its scheduled time.
+ *
+ * @param {string} queue The schedule.
+ * @param {Kickq.JobItem} jobItem the job item instance.
+ * @return {when.Promise} a promise.
+ * @private
+ */
+Scheduler.prototype._restoreToQueue = function(queue, jobItem) {
+  var def = when.defer();
+  var score = _.isNumber(jobItem.scheduledFor) ? jobItem.scheduledFor :
+    Date.now();
+
+  this.client.zadd(this.NS + ':' + queue, score, jobItem.id, function(err) {
+    if (err) {
+      log.db('_restoreToQueue() :: "zadd" Failed! err: ', err);
+      return def.reject(new kError.Database(err));
+    }
+    def.resolve();
+  });
+
+  return def.promise;
+};
+
 /**
  * Adds the job item to the processing queue.
  *
  * @param {Kickq.JobItem} jobItem the job item instance.
+ * @return {when.Promise} a promise.
  * @private
  */
 Scheduler.prototype._addToProcessQueue = function(jobItem) {
   log.finest('_addToProcessQueue() :: Init. jobId: ', jobItem.id);
-  jobItem.setState(states.Job.QUEUED).then(function(){
+  return jobItem.setState(states.Job.QUEUED).then(function(){
     // add the item to the proper queue (processing most likely)
-    var queue = new Queue(jobItem);
-    queue.save();
-  });
+    var queue = new Queue(this.ctx, jobItem);
+    return queue.save();
+  }.bind(this));
 };
 
 /**
  * Purge the job item.
  *
  * @param  {Kickq.JobItem} jobItem the item to purge.
+ * @return {when.Promise} a promise.
  * @private
  */
 Scheduler.prototype._purgeJob = function(jobItem) {
   log.finest('_purgeJob() :: Init. jobId: ', jobItem.id);
 
-  if (!kconfig.get('purgeJobs')) {
-    return;
+  if (!this.ctx.config.get('purgeJobs')) {
+    return when.resolve();
   }
 
-  jobItem.delete();
+  return jobItem.delete();
 };
 
 /**
@@ -286,9 +485,38 @@ Scheduler.prototype._handleErrors = function(queue, err) {
   return when.resolve();
 };
 
+/**
+ * Stop polling and hand the lined up jobs back to their schedules, at their
+ * scheduled time, so other schedulers or the next start pick them up.
+ *
+ * @return {when.Promise} a promise, always resolves.
+ */
+Scheduler.prototype.shutdown = function() {
+  log.info('shutdown() :: Init. Lined up: ', this._lineups.length);
+  this._stopped = true;
+  clearTimeout(this._pongTimeout);
+  this._pongTimeout = null;
+
+  var promises = this._clearLineups().map(function(lineup) {
+    return lineup.restore().otherwise(function(err) {
+      log.warn('shutdown() :: Restoring lined up job failed: ', err);
+    });
+  });
+
+  return when.all(promises);
+};
 
+/**
+ * Dispose the scheduler, stops polling.
+ *
+ */
 Scheduler.prototype.dispose = function() {
-  kconfig.removeListener('schedulerInterval', this._onConfigChange.bind(this));
-  kconfig.removeListener('schedulerFuzz', this._onConfigChange.bind(this));
-  kconfig.removeListener('schedulerLookAhead', this._onConfigChange.bind(this));
+  this._stopped = true;
+  clearTimeout(this._pongTimeout);
+  this._pongTimeout = null;
+  this._clearLineups();
+
+  this.ctx.config.removeListener('schedulerInterval', this._onConfigChange.bind(this));
+  this.ctx.config.removeListener('schedulerFuzz', this._onConfigChange.bind(this));
+  this.ctx.config.removeListener('schedulerLookAhead', this._onConfigChange.bind(this));
 };
@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Global concurrency per job name, shared by the workers of all
+ *   processes. Each job name with a cap has a semaphore in redis, a sorted
+ *   set of the processing job ids scored by the expiry of their lease. A
+ *   worker that crashes never releases its slots, they expire with the lease.
+ */
+var util = require('util');
+var _ = require('underscore');
+var when  = require('when');
+
+var log = require('logg').getLogger('kickq.model.SemaphoreModel');
+
+var Model = require('./model');
+var kError = require('../utility/kerror');
+
+/**
+ * Takes a slot of the semaphore, expired leases are dropped first.
+ *
+ * KEYS: the semaphore sorted set.
+ * ARGV: the job id, the max slots, now, the lease expiry.
+ *
+ * Returns 1 if a slot was taken, 0 if all slots are taken.
+ *
+ * @const {string}
+ */
+var ACQUIRE_SCRIPT = [
+  'redis.call("zremrangebyscore", KEYS[1], "-inf", ARGV[3])',
+  'if not redis.call("zscore", KEYS[1], ARGV[1]) and',
+  '  redis.call("zcard", KEYS[1]) >= tonumber(ARGV[2]) then',
+  '  return 0',
+  'end',
+  'redis.call("zadd", KEYS[1], ARGV[4], ARGV[1])',
+  'return 1'
+].join('\n');
+
+/**
+ * The Semaphore Class.
+ *
+ * @param {Kickq.Context} ctx The context of the kickq instance.
+ * @constructor
+ * @extends {Kickq.Model}
+ */
+var SemaphoreModel = module.exports = function(ctx) {
+  log.finer('Ctor() :: Init');
+  Model.call(this, ctx);
+};
+util.inherits(SemaphoreModel, Model);
+
+/**
+ * A map of internal operational parameters.
+ *
+ * @type {Object}
+ */
+SemaphoreModel.param = {
+  // ms to wait before trying a job name with all its slots taken again
+  RETRY_INTERVAL: 500
+};
+
+/**
+ * Get the global concurrency of a job name from the config, "jobFlags" first.
+ *
+ * @param {string} jobName The job name.
+ * @return {?number} The max jobs processing at a time or null if no cap.
+ */
+SemaphoreModel.prototype.getLimit = function(jobName) {
+  var configOpts = this.ctx.config.getJob(jobName);
+  var max = configOpts.hasOwnProperty('globalConcurrency') ?
+    configOpts.globalConcurrency : this.ctx.config.get('globalConcurrency');
+
+  if (null === max || 'undefined' === typeof max) {
+    return null;
+  }
+
+  if (!_.isNumber(max) || isNaN(max) || 1 > max) {
+    log.warn('getLimit() :: Global concurrency ignored. jobName, value: ',
+      jobName, max);
+    return null;
+  }
+
+  return Math.floor(max);
+};
+
+/**
+ * Take a slot of the semaphore of the job's name. The lease outlives the
+ * processing timeout and the grace the guard gives to collect a ghost.
+ *
+ * @param {Kickq.JobItem} jobItem The job item.
+ * @param {number} max The max jobs processing at a time.
+ * @return {when.Promise} a promise resolving to a boolean, false if all
+ *   slots are taken.
+ */
+SemaphoreModel.prototype.acquire = function(jobItem, max) {
+  var def = when.defer();
+
+  var now = Date.now();
+  var lease = jobItem.processTimeout * 1.5 +
+    this.ctx.config.get('guardInterval');
+
+  this.client.eval(ACQUIRE_SCRIPT, 1, this._getKey(jobItem.name), jobItem.id,
+    max, now, now + lease, function(err, acquired) {
+    if (err) {
+      log.db('acquire() :: "eval" Failed! err: ', err);
+      return def.reject(new kError.Database(err));
+    }
+    def.resolve(1 === acquired);
+  });
+
+  return def.promise;
+};
+
+/**
+ * Check if all the slots of the semaphore of a job name are taken, leases
+ * that expired are not counted.
+ *
+ * @param {string} jobName The job name.
+ * @param {number} max The max jobs processing at a time.
+ * @return {when.Promise} a promise resolving to a boolean.
+ */
+SemaphoreModel.prototype.isFull = function(jobName, max) {
+  var def = when.defer();
+
+  this.client.zcount(this._getKey(jobName), '(' + Date.now(), '+inf',
+    function(err, count) {
+    if (err) {
+      log.db('isFull() :: "zcount" Failed! err: ', err);
+      return def.reject(new kError.Database(err));
+    }
+    def.resolve(count >= max);
+  });
+
+  return def.promise;
+};
+
+/**
+ * Release the slot a job holds.
+ *
+ * @param {string} jobName The job name.
+ * @param {string} jobId The job id.
+ * @return {when.Promise} a promise.
+ */
+SemaphoreModel.prototype.release = function(jobName, jobId) {
+  var def = when.defer();
+
+  this.client.zrem(this._getKey(jobName), jobId, function(err) {
+    if (err) {
+      log.db('release() :: "zrem" Failed! err: ', err);
+      return def.reject(new kError.Database(err));
+    }
+    def.resolve();
+  });
+
+  return def.promise;
+};
+
+/**
+ * Get the semaphore key of a job name.
+ *
+ * @param {string} jobName The job name.
+ * @return {string} The key.
+ * @private
+ */
+SemaphoreModel.prototype._getKey = function(jobName) {
+  return this.NS + ':semaphore:' + jobName;
+};
@@ -0,0 +1,188 @@
+/**
+ * @fileoverview The serializers of job items, used when job items are stored
+ *   and published. A serializer is an Object with the functions:
+ *   - encode {function(*): string} Serialize a value.
+ *   - decode {function(string): *} Restore a serialized value.
+ */
+var _ = require('underscore');
+
+var log = require('logg').getLogger('kickq.model.serializer');
+
+var serializer = module.exports = {};
+
+/**
+ * The serializers shipped with kickq.
+ *
+ * @enum {string}
+ */
+serializer.Type = {
+  // plain JSON, Dates become strings, Buffers Objects, Maps and Sets empty
+  JSON: 'json',
+  // JSON that restores Dates, Buffers, Maps and Sets, where supported
+  EXTENDED: 'extended'
+};
+
+/**
+ * The key of the Objects that stand for a value JSON does not support.
+ *
+ * @const {string}
+ */
+var TYPE_KEY = '__kickqType';
+
+/**
+ * The native Map and Set, undefined on node versions that lack them.
+ *
+ * @type {Function|undefined}
+ */
+var NativeMap = global.Map;
+var NativeSet = global.Set;
+
+/**
+ * The plain JSON serializer.
+ *
+ * @type {Object}
+ */
+serializer.json = {
+  encode: function(value) {
+    return JSON.stringify(value);
+  },
+  decode: function(serialized) {
+    return JSON.parse(serialized);
+  }
+};
+
+/**
+ * Replaces the values JSON does not support with tagged Objects. Reads the
+ * raw value off the holder as JSON calls "toJSON()" of Dates and Buffers
+ * before the replacer.
+ *
+ * @param {string} key The key.
+ * @param {*} value The value, after "toJSON()".
+ * @return {*} The value to serialize.
+ * @this {Object} The holder of the key.
+ */
+var replacer = function(key, value) {
+  var raw = this[key];
+  var tagged = {};
+
+  if (raw instanceof Date) {
+    tagged[TYPE_KEY] = 'Date';
+    tagged.value = isNaN(raw.getTime()) ? null : raw.toISOString();
+  } else if (Buffer.isBuffer(raw)) {
+    tagged[TYPE_KEY] = 'Buffer';
+    tagged.value = raw.toString('base64');
+  } else if ('undefined' !== typeof NativeMap && raw instanceof NativeMap) {
+    tagged[TYPE_KEY] = 'Map';
+    tagged.value = [];
+    raw.forEach(function(mapValue, mapKey) {
+      tagged.value.push([mapKey, mapValue]);
+    });
+  } else if ('undefined' !== typeof NativeSet && raw instanceof NativeSet) {
+    tagged[TYPE_KEY] = 'Set';
+    tagged.value = [];
+    raw.forEach(function(setValue) {
+      tagged.value.push(setValue);
+    });
+  } else {
+    return value;
+  }
+  return tagged;
+};
+
+/**
+ * Restores the tagged Objects, nested values are restored first.
+ *
+ * @param {string} key The key.
+ * @param {*} value The parsed value.
+ * @return {*} The restored value.
+ */
+var reviver = function(key, value) {
+  if (!_.isObject(value) || !_.isString(value[TYPE_KEY])) {
+    return value;
+  }
+
+  switch(value[TYPE_KEY]) {
+  case 'Date':
+    return new Date(null === value.value ? NaN : value.value);
+  case 'Buffer':
+    return new Buffer(value.value, 'base64');
+  case 'Map':
+    if ('undefined' === typeof NativeMap) {
+      return value;
+    }
+    var map = new NativeMap();
+    value.value.forEach(function(entry) {
+      map.set(entry[0], entry[1]);
+    });
+    return map;
+  case 'Set':
+    if ('undefined' === typeof NativeSet) {
+      return value;
+    }
+    var set = new NativeSet();
+    value.value.forEach(function(setValue) {
+      set.add(setValue);
+    });
+    return set;
+  default:
+    return value;
+  }
+};
+
+/**
+ * The extended JSON serializer, round-trips Dates, Buffers, Maps and Sets.
+ *
+ * @type {Object}
+ */
+serializer.extended = {
+  encode: function(value) {
+    return JSON.stringify(value, replacer);
+  },
+  decode: function(serialized) {
+    return JSON.parse(serialized, reviver);
+  }
+};
+
+/**
+ * Resolve a serializer option to a serializer. Accepts a serializer name
+ * (e.g. "extended") or an Object with the "encode" and "decode" functions.
+ *
+ * @param {string|Object|null|undefined} option The option.
+ * @return {Object} The serializer.
+ * @throws {TypeError} if the option is not valid.
+ */
+serializer.normalize = function(option) {
+  if (null === option || 'undefined' === typeof option) {
+    return serializer.json;
+  }
+
+  switch(option) {
+  case serializer.Type.JSON:
+    return serializer.json;
+  case serializer.Type.EXTENDED:
+    return serializer.extended;
+  }
+
+  if (!_.isObject(option) || !_.isFunction(option.encode) ||
+    !_.isFunction(option.decode)) {
+    throw new TypeError('Serializer needs the "encode" and "decode"' +
+      ' functions: ' + option);
+  }
+  return option;
+};
+
+/**
+ * Get the serializer of the "serializer" config value, plain JSON if
+ * not valid.
+ *
+ * @param {Kickq.Config} config The config of the kickq instance.
+ * @return {Object} The serializer.
+ */
+serializer.get = function(config) {
+  try {
+    return serializer.normalize(config.get('serializer'));
+  } catch(ex) {
+    log.warn('get() :: Serializer ignored. ex: ', ex);
+    return serializer.json;
+  }
+};
@@ -0,0 +1,264 @@
+/**
+ * @fileoverview Signals model, subscribes to the control channels that
+ *   instruct workers across all processes (e.g. cancel a processing job,
+ *   pause a job name).
+ */
+
+var util = require('util');
+var when = require('when');
+var log = require('logg').getLogger('kickq.model.Signal');
+
+var EventModel = require('./event-model');
+var channels = require('./channels');
+var kError = require('../utility/kerror');
+var utils = require('../utility/utilities');
+
+/**
+ * The Signal Model Class.
+ *
+ * @param {Kickq.Context} ctx The context of the kickq instance.
+ * @constructor
+ * @extends {Kickq.EventModel}
+ */
+var Signal = module.exports = function(ctx) {
+  log.finer('Ctor() :: Init');
+  EventModel.call(this, ctx);
+
+  // every worker instance listens
+  this.setMaxListeners(0);
+
+  /** @type {?redis.CreateClient} redis client to use for pubsub */
+  this.clientSub = null;
+
+  /** @type {boolean} If subscribed */
+  this._isOn = false;
+
+  /**
+   * Channels this model subscribes to, populated on start so the current
+   * namespace is used.
+   * @type {Array.<string>}
+   * @private
+   */
+  this._channels = [];
+
+  /**
+   * @type {Object.<boolean>} The paused job names as known to this process.
+   * @private
+   */
+  this._paused = Object.create(null);
+
+  /** @type {Function} bound message listener */
+  this._onMessageBound = this._onMessage.bind(this);
+};
+util.inherits(Signal, EventModel);
+utils.addSingletonGetter(Signal);
+
+/**
+ * Subscribe to the control channels and load the paused job names.
+ *
+ */
+Signal.prototype.start = function() {
+  log.fine('start() :: Init. _isOn: ', this._isOn);
+  if (this._isOn) {return;}
+  this._isOn = true;
+
+  this._channels = [
+    channels.getKey(this.NS, channels.Channels.CANCEL),
+    channels.getKey(this.NS, channels.Channels.PAUSE),
+    channels.getKey(this.NS, channels.Channels.RESUME)
+  ];
+
+  this.clientSub = this.ctx.redis.client(true);
+  this.clientSub.on('message', this._onMessageBound);
+  this._channels.forEach(this.clientSub.subscribe.bind(this.clientSub));
+
+  this.ctx.redis.client().smembers(this._getPausedKey(), function(err, jobNames) {
+    if (err) {
+      log.db('start() :: "smembers" failed. err: ', err);
+      return;
+    }
+    (jobNames || []).forEach(function(jobName) {
+      this._paused[jobName] = true;
+    }, this);
+  }.bind(this));
+};
+
+/**
+ * Unsubscribe from the control channels.
+ *
+ */
+Signal.prototype.stop = function() {
+  log.fine('stop() :: Init. _isOn: ', this._isOn);
+  if (!this._isOn) {return;}
+  this._isOn = false;
+
+  this.clientSub.removeListener('message', this._onMessageBound);
+  this._channels.forEach(this.clientSub.unsubscribe.bind(this.clientSub));
+
+  this.clientSub.end();
+  this.clientSub = null;
+  this._paused = Object.create(null);
+};
+
+/**
+ * Publish a cancel signal for a processing job.
+ *
+ * @param {Kickq.JobItem} jobItem The job item to cancel.
+ */
+Signal.prototype.cancel = function(jobItem) {
+  log.fine('cancel() :: Init. jobId, Queue: ', jobItem.id, jobItem.name);
+  this._publish(channels.Channels.CANCEL, {
+    id: jobItem.id,
+    name: jobItem.name
+  });
+};
+
+/**
+ * Pause processing of a job name on all workers.
+ *
+ * @param {string} jobName The job name.
+ * @return {when.Promise} a promise.
+ */
+Signal.prototype.pause = function(jobName) {
+  log.fine('pause() :: Init. Queue: ', jobName);
+  return this._setPaused(jobName, true);
+};
+
+/**
+ * Resume processing of a paused job name on all workers.
+ *
+ * @param {string} jobName The job name.
+ * @return {when.Promise} a promise.
+ */
+Signal.prototype.resume = function(jobName) {
+  log.fine('resume() :: Init. Queue: ', jobName);
+  return this._setPaused(jobName, false);
+};
+
+/**
+ * If the job name is paused as known to this process, up to date when
+ * the model has started.
+ *
+ * @param {string} jobName The job name.
+ * @return {boolean} yes/no.
+ */
+Signal.prototype.isPaused = function(jobName) {
+  return !!this._paused[jobName];
+};
+
+/**
+ * Query redis if the job name is paused.
+ *
+ * @param {string} jobName The job name.
+ * @return {when.Promise} a promise resolving to a boolean.
+ */
+Signal.prototype.fetchPaused = function(jobName) {
+  var def = when.defer();
+
+  this.ctx.redis.client().sismember(this._getPausedKey(), jobName,
+    function(err, isMember) {
+    if (err) {
+      log.db('fetchPaused() :: "sismember" failed. err: ', err);
+      return def.reject(new kError.Database(err));
+    }
+    def.resolve(1 === isMember);
+  });
+
+  return def.promise;
+};
+
+/**
+ * Store the paused flag of the job name and broadcast it.
+ *
+ * @param {string} jobName The job name.
+ * @param {boolean} paused If paused.
+ * @return {when.Promise} a promise.
+ * @private
+ */
+Signal.prototype._setPaused = function(jobName, paused) {
+  var def = when.defer();
+  var channel = paused ? channels.Channels.PAUSE : channels.Channels.RESUME;
+
+  var client = this.ctx.redis.client();
+  var multi = client.multi();
+  if (paused) {
+    multi.sadd(this._getPausedKey(), jobName);
+  } else {
+    multi.srem(this._getPausedKey(), jobName);
+  }
+  this._publish(channel, {name: jobName}, multi);
+
+  multi.exec(function(err) {
+    if (err) {
+      log.db('_setPaused() :: "exec" failed. err: ', err);
+      return def.reject(new kError.Database(err));
+    }
+    def.resolve();
+  });
+
+  return def.promise;
+};
+
+/**
+ * Publish a signal.
+ *
+ * @param {kickq.channels.Channels} channel The channel.
+ * @param {Object} signalItem The signal item to publish.
+ * @param {redis.Multi=} optMulti Optionally publish within a transaction.
+ * @private
+ */
+Signal.prototype._publish = function(channel, signalItem, optMulti) {
+  // singleton instance outlives resets, always get the current client.
+  var client = optMulti || this.ctx.redis.client();
+  client.publish(channels.getKey(this.NS, channel), JSON.stringify(signalItem));
+};
+
+/**
+ * Get the key of the paused job names set.
+ *
+ * @return {string} The key.
+ * @private
+ */
+Signal.prototype._getPausedKey = function() {
+  return this.NS + ':paused';
+};
+
+/**
+ * Triggers on redis publishing a message on a channel we are subscribed to.
+ *
+ * @param {string} channel the channel.
+ * @param {string} message The message.
+ * @private
+ */
+Signal.prototype._onMessage = function(channel, message) {
+  log.finest('_onMessage() :: Init. _isOn, channel: ', this._isOn, channel);
+  if (!this._isOn) {return;}
+
+  // ensure this message is for us
+  if ( -1 === this._channels.indexOf(channel)) {
+    return;
+  }
+
+  var signalItem;
+  try {
+    signalItem = JSON.parse(message);
+  } catch(ex) {
+    log.warn('_onMessage() :: Channel: ' + channel + ' published a message that' +
+      ' failed to JSON.parse message, exception: ', message, ex);
+    return;
+  }
+
+  switch(this._channels.indexOf(channel)) {
+  case 0:
+    this.emit(channels.Channels.CANCEL, signalItem.id, signalItem.name);
+    break;
+  case 1:
+    this._paused[signalItem.name] = true;
+    this.emit(channels.Channels.PAUSE, signalItem.name);
+    break;
+  case 2:
+    delete this._paused[signalItem.name];
+    this.emit(channels.Channels.RESUME, signalItem.name);
+    break;
+  }
+};
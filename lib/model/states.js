@@ -3,8 +3,6 @@
  */
 var states = module.exports = {};
 
-var kconfig = require('../utility/config');
-
 /**
  * The Job states.
  *
@@ -12,13 +10,15 @@ var kconfig = require('../utility/config');
  */
 states.Job = {
   NEW: 'new',
+  WAITING: 'waiting',
   QUEUED: 'queued',
   DELAYED: 'delayed',
   PROCESSING: 'processing',
   RETRY: 'retry',
   GHOST: 'ghost',
   SUCCESS: 'success',
-  FAIL: 'fail'
+  FAIL: 'fail',
+  EXPIRED: 'expired'
 };
 
 /**
@@ -34,6 +34,30 @@ states.Process = {
 };
 
 
-states.getKey = function(state) {
-  return kconfig.get('redisNamespace') + ':state:' + state;
+/**
+ * Return the key of the state set.
+ *
+ * @param {string} ns The redis namespace.
+ * @param {states.Job} state The state.
+ * @param {string=} optName Optionally get the state set of a job name.
+ * @return {string} The state set key.
+ */
+states.getKey = function(ns, state, optName) {
+  var out = ns + ':state:' + state;
+
+  if (optName && optName.length) {
+    out += ':' + optName;
+  }
+
+  return out;
+};
+
+/**
+ * Return the key of the set that holds all the job names.
+ *
+ * @param {string} ns The redis namespace.
+ * @return {string} The key.
+ */
+states.getNamesKey = function(ns) {
+  return ns + ':names';
 };
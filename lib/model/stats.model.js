@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Per job name statistics, queue lengths and state counts.
+ *
+ */
+var util = require('util');
+var when  = require('when');
+
+var log = require('logg').getLogger('kickq.model.StatsModel');
+
+var Model = require('./model');
+var kError = require('../utility/kerror');
+var states = require('./states');
+var priorities = require('./priorities');
+
+/**
+ * The Stats Class.
+ *
+ * @param {Kickq.Context} ctx The context of the kickq instance.
+ * @constructor
+ * @extends {Kickq.Model}
+ */
+var StatsModel = module.exports = function(ctx) {
+  log.finer('Ctor() :: Init');
+  Model.call(this, ctx);
+};
+util.inherits(StatsModel, Model);
+
+/**
+ * The job states that get counted, keys of the stats object.
+ *
+ * @type {Array.<kickq.states.Job>}
+ */
+StatsModel.COUNTED_STATES = [
+  states.Job.WAITING,
+  states.Job.DELAYED,
+  states.Job.RETRY,
+  states.Job.GHOST,
+  states.Job.PROCESSING,
+  states.Job.SUCCESS,
+  states.Job.FAIL,
+  states.Job.EXPIRED
+];
+
+/**
+ * Fetch the statistics of the provided job names.
+ *
+ * A stats object has the keys:
+ *   - queued {number} Jobs waiting in the process queues of all priorities.
+ *   - waiting, delayed, retry, ghost, processing, success, fail, expired
+ *       {number} Jobs in each state.
+ *   - oldestAge {?number} ms since the oldest waiting job was created,
+ *       null if none waiting.
+ *
+ * @param {Array.<string>} jobNames The job names.
+ * @return {when.Promise} a promise resolving to an Object of stats objects
+ *   keyed by job name.
+ */
+StatsModel.prototype.fetch = function(jobNames) {
+  log.fine('fetch() :: Init. jobNames: ', jobNames);
+  var def = when.defer();
+
+  if (0 === jobNames.length) {
+    def.resolve({});
+    return def.promise;
+  }
+
+  var multi = this.client.multi();
+  jobNames.forEach(function(jobName) {
+    priorities.ORDERED.forEach(function(priority) {
+      var queueKey = priorities.getQueueKey(this.NS, jobName, priority);
+      multi.llen(queueKey);
+      multi.lindex(queueKey, 0);
+    }, this);
+    StatsModel.COUNTED_STATES.forEach(function(state) {
+      multi.scard(states.getKey(this.NS, state, jobName));
+    }, this);
+  }, this);
+
+  multi.exec(function(err, response) {
+    if (err) {
+      log.db('fetch() :: "exec" Failed! err: ', err);
+      return def.reject(new kError.Database(err));
+    }
+
+    var stats = {};
+    var headIds = [];
+    var queueCount = priorities.ORDERED.length;
+    var step = 2 * queueCount + StatsModel.COUNTED_STATES.length;
+    jobNames.forEach(function(jobName, index) {
+      var offset = index * step;
+      var stat = stats[jobName] = {
+        queued: 0,
+        oldestAge: null
+      };
+      var heads = [];
+      for (var i = 0; i < queueCount; i++) {
+        stat.queued += response[offset + 2 * i];
+        heads.push(response[offset + 2 * i + 1]);
+      }
+      headIds.push(heads);
+      offset += 2 * queueCount;
+      StatsModel.COUNTED_STATES.forEach(function(state, stateIndex) {
+        stat[state] = response[offset + stateIndex];
+      });
+    });
+
+    this._getOldestAges(jobNames, headIds, stats)
+      .then(def.resolve, def.reject);
+  }.bind(this));
+
+  return def.promise;
+};
+
+/**
+ * Fetch all the job names that have been created.
+ *
+ * @return {when.Promise} a promise resolving to an Array of job names.
+ */
+StatsModel.prototype.getNames = function() {
+  var def = when.defer();
+
+  this.client.smembers(states.getNamesKey(this.NS), function(err, jobNames) {
+    if (err) {
+      log.db('getNames() :: "smembers" Failed! err: ', err);
+      return def.reject(new kError.Database(err));
+    }
+    def.resolve(jobNames || []);
+  });
+
+  return def.promise;
+};
+
+/**
+ * Get the age of the oldest job waiting at the head of the process queues
+ * of each job name.
+ *
+ * @param {Array.<string>} jobNames The job names.
+ * @param {Array.<Array.<?string>>} headIds The job ids at the head of each
+ *   priority queue, per job name.
+ * @param {Object} stats The stats objects keyed by job name, get updated.
+ * @return {when.Promise} a promise resolving to the stats objects.
+ * @private
+ */
+StatsModel.prototype._getOldestAges = function(jobNames, headIds, stats) {
+  var def = when.defer();
+  var multi = this.client.multi();
+  var names = [];
+
+  headIds.forEach(function(heads, index) {
+    heads.forEach(function(jobId) {
+      if (!jobId) {
+        return;
+      }
+      names.push(jobNames[index]);
+      multi.hget(this.NS + ':job:' + jobId, 'createTime');
+    }, this);
+  }, this);
+
+  if (0 === names.length) {
+    def.resolve(stats);
+    return def.promise;
+  }
+
+  multi.exec(function(err, createTimes) {
+    if (err) {
+      log.db('_getOldestAges() :: "exec" Failed! err: ', err);
+      return def.reject(new kError.Database(err));
+    }
+
+    var now = Date.now();
+    createTimes.forEach(function(createTime, index) {
+      // job could have been popped in the meantime
+      if (!createTime) {
+        return;
+      }
+      var stat = stats[names[index]];
+      var age = now - Number(createTime);
+      if (null === stat.oldestAge || age > stat.oldestAge) {
+        stat.oldestAge = age;
+      }
+    });
+
+    def.resolve(stats);
+  });
+
+  return def.promise;
+};
@@ -3,14 +3,11 @@
  *
  */
 var EventEmitter = require('events').EventEmitter;
+var util = require('util');
 var Map = require('collections/map');
 var _ = require('underscore');
 var logg = require('logg');
 
-var config = module.exports = new EventEmitter();
-
-config.setMaxListeners(30);
-
 /**
  * Default config values.
  * @const {Object}
@@ -19,15 +16,21 @@ var DEFAULT = {
   redisNamespace: 'kickq',
   debug: false,
   processTimeout: 10000, // seconds
+  expireAfter: null, // ms after creation a job expires if it has not started.
   delay: null,
   ghostRetry: true,
   ghostTimes: 1,
   ghostInterval: 1800000,
   hotjob: false,
   hotjobTimeout: 10000,
+  priority: 0, // a priority level name (e.g. "high") or number, see priorities.
+  rateLimit: null, // {max, duration, groupBy} jobs per ms across all workers.
+  globalConcurrency: null, // max jobs processing at a time across all workers.
   retry: false,
   retryTimes: 3,
   retryInterval: 1800000,
+  retryBackoff: 'fixed', // a strategy name, an Array of ms or Object, see backoff.
+  ghostBackoff: 'fixed',
   jobFlags: {},
   redisPort: 6379,
   redisHost: '127.0.0.1',
@@ -35,6 +38,12 @@ var DEFAULT = {
   redisOptions: null,
   purgeJobs: true,
   purgeTimeout: 86400000, // ms, 1day
+  compressThreshold: 10240, // bytes, larger data and results get compressed.
+  serializer: 'json', // 'json', 'extended' or an Object with encode and decode.
+  deadLetter: false, // keep finally failed jobs unpurged, see kickq.replay().
+  jobLogMax: 1000, // log lines kept per job, the oldest get dropped.
+  jobLogCapture: false, // append the logger records emitted while jobs process,
+                        // only reliable with concurrentJobs at 1.
 
   // Scheduler options
   schedulerOn: true,
@@ -52,17 +61,39 @@ var DEFAULT = {
   // More advanced options
   fetchTimeout: 0, // seconds, 0 for ever
   guardInterval: 30000, // ms, how often the guard checks the worker default 30".
+  shutdownTimeout: 30000, // ms, how long shutdown waits for processing jobs.
 
   // metrics
   vitalsInterval: 300000 // ms, Vitals setInterval period, default 5'.
 };
 
-var map = new Map(DEFAULT);
+/**
+ * The configuration of a kickq instance.
+ *
+ * @param {Object=} optConfObj Config values to set over the defaults.
+ * @constructor
+ * @extends {events.EventEmitter}
+ */
+var Config = module.exports = function(optConfObj) {
+  EventEmitter.call(this);
+  this.setMaxListeners(30);
+
+  /** @type {collections.Map} The config values */
+  this._map = new Map(DEFAULT);
+
+  // listen for changes and emit event
+  this._map.addMapChangeListener(function(value, key){
+    this.emit(key, key, value);
+  }.bind(this));
+
+  if (optConfObj) {
+    this.set(optConfObj);
+  }
+};
+util.inherits(Config, EventEmitter);
 
-// listen for changes and emit event
-map.addMapChangeListener(function(value, key){
-  config.emit(key, key, value);
-});
+/** @const {Object} Default config values. */
+Config.DEFAULT = DEFAULT;
 
 /**
  * Define values for the config
@@ -70,14 +101,14 @@ map.addMapChangeListener(function(value, key){
  * @param {Object|string} confObj Config object or config key.
  * @param {*=} optValue value of config if confObj is string.
  */
-config.set = function(confObj, optValue) {
+Config.prototype.set = function(confObj, optValue) {
   if ( _.isObject(confObj) ) {
-    map.addEach(confObj);
+    this._map.addEach(confObj);
     return;
   }
 
   if ( _.isString(confObj) ) {
-    map.set(confObj, optValue);
+    this._map.set(confObj, optValue);
     return;
   }
 
@@ -91,8 +122,8 @@ config.set = function(confObj, optValue) {
  * @param  {string} key The key.
  * @return {*} whatever.
  */
-config.get = function(key) {
-  return map.get(key);
+Config.prototype.get = function(key) {
+  return this._map.get(key);
 };
 
 
@@ -102,8 +133,8 @@ config.get = function(key) {
  * @param  {string} jobName The job name.
  * @return {Object} Will always return an object, empty if nothing defined.
  */
-config.getJob = function(jobName) {
-  var jobFlags = config.get('jobFlags');
+Config.prototype.getJob = function(jobName) {
+  var jobFlags = this.get('jobFlags');
 
   if ( _.isObject(jobFlags[jobName]) ) {
     return jobFlags[jobName];
@@ -115,8 +146,8 @@ config.getJob = function(jobName) {
  * Reset the config to its original state, remove all listeners.
  *
  */
-config.reset = function() {
-  map.clear();
-  map.addEach(DEFAULT);
-  config.removeAllListeners();
+Config.prototype.reset = function() {
+  this._map.clear();
+  this._map.addEach(DEFAULT);
+  this.removeAllListeners();
 };
@@ -0,0 +1,35 @@
+/**
+ * @fileoverview The context of a kickq instance, its config and its redis
+ *   clients. Passed as the first argument to all models and controls.
+ */
+
+var Config = require('./config');
+var KRedis = require('./kredis');
+
+/**
+ * The Context Class.
+ *
+ * @param {Object=} optConfObj Config values to set over the defaults.
+ * @constructor
+ */
+var Context = module.exports = function(optConfObj) {
+  /** @type {Kickq.Config} The config of the instance */
+  this.config = new Config(optConfObj);
+
+  /** @type {Kickq.KRedis} The redis clients of the instance */
+  this.redis = new KRedis(this.config);
+
+  /** @type {Object} Singletons of the instance, see utils.addSingletonGetter */
+  this.singletons = {};
+
+  /** @type {Object.<Function>} Retry policies keyed by job name */
+  this.retryPolicies = Object.create(null);
+};
+
+/**
+ * Close all the redis connections of the instance.
+ *
+ */
+Context.prototype.dispose = function() {
+  this.redis.dispose();
+};
@@ -110,3 +110,67 @@ kError.NoRecord = function (jobId, optMessage) {
 };
 util.inherits(kError.NoRecord, kError.Abstract);
 
+
+/**
+ * The job is currently processing and the operation cannot be performed.
+ *
+ * @param {kickq.JobItem} jobItem the job item.
+ * @param {string=} optMessage the message.
+ * @constructor
+ * @extends {kickq.error.Abstract}
+ */
+kError.Processing = function (jobItem, optMessage) {
+  kError.Processing.super_.call(this, optMessage, this.constructor);
+  this.name = 'Job Processing';
+  this.state = jobItem.state;
+  this.jobId = jobItem.id;
+};
+util.inherits(kError.Processing, kError.Abstract);
+
+/**
+ * The job name is paused.
+ *
+ * @param {string} jobName the job name.
+ * @param {string=} optMessage the message.
+ * @constructor
+ * @extends {kickq.error.Abstract}
+ */
+kError.Paused = function (jobName, optMessage) {
+  kError.Paused.super_.call(this, optMessage, this.constructor);
+  this.name = 'Job Name Paused';
+  this.jobName = jobName;
+};
+util.inherits(kError.Paused, kError.Abstract);
+
+/**
+ * The rate limit of the job name is used up.
+ *
+ * @param {string} jobName the job name.
+ * @param {number} wait ms until the rate limit allows more jobs.
+ * @param {string=} optMessage the message.
+ * @constructor
+ * @extends {kickq.error.Abstract}
+ */
+kError.RateLimited = function (jobName, wait, optMessage) {
+  kError.RateLimited.super_.call(this, optMessage, this.constructor);
+  this.name = 'Rate Limited';
+  this.jobName = jobName;
+  this.wait = wait;
+};
+util.inherits(kError.RateLimited, kError.Abstract);
+
+/**
+ * The job did not start processing before its deadline.
+ *
+ * @param {kickq.JobItem} jobItem the job item.
+ * @param {string=} optMessage the message.
+ * @constructor
+ * @extends {kickq.error.Abstract}
+ */
+kError.Expired = function (jobItem, optMessage) {
+  kError.Expired.super_.call(this, optMessage, this.constructor);
+  this.name = 'Job Expired';
+  this.jobId = jobItem.id;
+  this.deadline = jobItem.deadline;
+};
+util.inherits(kError.Expired, kError.Abstract);
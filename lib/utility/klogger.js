@@ -11,25 +11,27 @@ var _ = require('underscore');
 var syslog = require('node-syslog');
 var logg = require('logg');
 
-var kconfig = require('./config');
+var Config = require('./config');
 var kfile = require('./kfile');
 
 var initialized = false;
-var _syslogLog = kconfig.get('loggerSyslog');
-var _fileLog = kconfig.get('loggerFile');
-var _filename = kconfig.get('loggerFilename');
-var _debug = kconfig.get('debug');
+var _syslogLog = Config.DEFAULT.loggerSyslog;
+var _fileLog = Config.DEFAULT.loggerFile;
+var _filename = Config.DEFAULT.loggerFilename;
+var _debug = Config.DEFAULT.debug;
 
-var _loggerLevel = kconfig.get('loggerLevel');
+var _loggerLevel = Config.DEFAULT.loggerLevel;
 
 
 var klogger = module.exports = new EventEmitter();
 
 
 /**
- * Initialize
+ * Initialize, logging is process wide so it follows a single config.
+ *
+ * @param {Kickq.Config} kconfig The config to follow.
  */
-klogger.init = function() {
+klogger.init = function(kconfig) {
   if (initialized) {return;}
   initialized = true;
 
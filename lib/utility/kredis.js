@@ -6,12 +6,22 @@ var redis = require('redis');
 var _ = require('underscore');
 var log = require('logg').getLogger('kickq.utils.kRedis');
 
-var kconfig = require('./config');
+/**
+ * Creates and keeps track of the redis clients of a kickq instance.
+ *
+ * @param {Kickq.Config} kconfig The config to read connection options from.
+ * @constructor
+ */
+var KRedis = module.exports = function(kconfig) {
+  /** @type {Kickq.Config} The config instance */
+  this.kconfig = kconfig;
 
-var kRedis = module.exports = {};
+  /** @type {?redis.RedisClient} The shared client */
+  this._persistentClient = null;
 
-var persistentClient = null;
-var clients = [];
+  /** @type {Array.<redis.RedisClient>} All the clients created */
+  this._clients = [];
+};
 
 /**
  * Creates a persistent connection to redis and provides it.
@@ -21,17 +31,17 @@ var clients = [];
  * @param {boolean=} optNew get a new client.
  * @return {redis.RedisClient} A redis client.
  */
-kRedis.client = function(optNew) {
+KRedis.prototype.client = function(optNew) {
   log.finer('client() :: Init. new: ' + !!optNew);
 
-  if (!optNew && !_.isNull(persistentClient)) {
-    return persistentClient;
+  if (!optNew && !_.isNull(this._persistentClient)) {
+    return this._persistentClient;
   }
 
-  var port = kconfig.get('redisPort');
-  var host = kconfig.get('redisHost');
-  var pass = kconfig.get('redisPassword');
-  var opts = kconfig.get('redisOptions');
+  var port = this.kconfig.get('redisPort');
+  var host = this.kconfig.get('redisHost');
+  var pass = this.kconfig.get('redisPassword');
+  var opts = this.kconfig.get('redisOptions');
   var client;
 
   log.finer('client() :: Creating client using host, port:', host, port);
@@ -47,13 +57,13 @@ kRedis.client = function(optNew) {
   }
 
   if (!optNew) {
-    persistentClient = client;
+    this._persistentClient = client;
   }
 
   log.finer('client() :: Attaching error listener...');
-  client.on('error', kRedis._onRedisError);
+  client.on('error', KRedis._onRedisError);
 
-  clients.push(client);
+  this._clients.push(client);
 
   return client;
 };
@@ -64,7 +74,7 @@ kRedis.client = function(optNew) {
  * @param  {string} err the error message
  * @protected
  */
-kRedis._onRedisError = function(err) {
+KRedis._onRedisError = function(err) {
   log.finer('_onRedisError() :: ', err.message, err);
 };
 
@@ -74,11 +84,10 @@ kRedis._onRedisError = function(err) {
  * Close all connections and reset objects.
  *
  */
-kRedis.dispose = function() {
-  clients.forEach(function(client){
+KRedis.prototype.dispose = function() {
+  this._clients.forEach(function(client){
     client.end();
   });
-  clients = [];
-  persistentClient = null;
+  this._clients = [];
+  this._persistentClient = null;
 };
-
@@ -3,17 +3,21 @@
  */
 var utils = module.exports = {};
 
+/** @type {number} Used to create unique singleton keys */
+var singletonCount = 0;
+
 /**
  * Adds a {@code getInstance} static method that always return the same instance
- * object.
+ * object for the provided context.
  * @param {!Function} Ctor The constructor for the class to add the static
- *     method to.
+ *     method to, it gets invoked with the context as the only argument.
  */
 utils.addSingletonGetter = function(Ctor) {
-  Ctor.getInstance = function() {
-    if (Ctor._instance) {
-      return Ctor._instance;
+  var key = 'singleton' + (++singletonCount);
+  Ctor.getInstance = function(ctx) {
+    if (ctx.singletons[key]) {
+      return ctx.singletons[key];
     }
-    return Ctor._instance = new Ctor;
+    return ctx.singletons[key] = new Ctor(ctx);
   };
-};
\ No newline at end of file
+};
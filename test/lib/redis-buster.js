@@ -12,6 +12,9 @@ var client = redis.createClient();
 
 buster.KEY = '_test_queue';
 
+/** @type {redis.RedisClient} For tests that inspect the records */
+buster.client = client;
+
 /**
  * Clean all records created by tests
  *
@@ -133,6 +133,37 @@ suite('Job Creation', function() {
       });
 
     }); // test
+
+    test('1.3.3 A "runAt" job is scheduled for the exact time', function(done) {
+      var runAt = new Date(Date.now() + 60000);
+      kickq.create('runat_job 1.3.3', 'data', {runAt: runAt})
+        .then(function(job) {
+          assert.equal('delayed', job.state, 'state should be "delayed"');
+          assert.equal(runAt.getTime(), job.runAt, '"runAt" should be cast to' +
+            ' a timestamp');
+          assert.equal(runAt.getTime(), job.scheduledFor, '"scheduledFor"' +
+            ' should be the "runAt" time');
+          done();
+        }).otherwise(done);
+    });
+
+    test('1.3.4 A "runAt" job gets processed in time', function(done) {
+      this.timeout(5000);
+      var runAt = Date.now() + 1000;
+      kickq.create('runat_job 1.3.4', 'data', {runAt: runAt});
+
+      kickq.process('runat_job 1.3.4', function(job, data, cb) {
+        assert.operator(Date.now(), '>', runAt - 200, 'job should get' +
+          ' processed at the "runAt" time');
+        cb(null, done);
+      });
+    });
+
+    test('1.3.5 Invalid "runAt" values throw', function() {
+      assert.throws(function() {
+        kickq.create('runat_job 1.3.5', 'data', {runAt: 'tomorrow'});
+      }, TypeError);
+    });
   }); // suite 1.3
 
   suite('1.4 A "hotjob job"', function() {
@@ -203,6 +234,22 @@ suite('Job Creation', function() {
       kickq.create('hotjob_job 1.4.3', 'hotjob job data', opts, onJobCreate);
     });
 
+    test('1.4.6 The "hotjob job" promise carries the result', function(done) {
+
+      function onJobCreate(err, job, promise) {
+        assert.isFulfilled(promise.then(function(job) {
+          assert.deepEqual({total: 3}, job.result, '"result" property should' +
+            ' have the consumer result');
+        }), 'hotjob promise should resolve').notify(done);
+
+        kickq.process('hotjob_job 1.4.6', function(job, data, cb) {
+          cb(null, {total: 3});
+        });
+      }
+
+      kickq.create('hotjob_job 1.4.6', 'hotjob job data', opts, onJobCreate);
+    });
+
     suite('Timeout tests', function(){
       var clock;
       setup(function() {
@@ -315,6 +362,115 @@ suite('Job Creation', function() {
 
       setTimeout(finalJudgement, 500);
     });
+
+    test('1.5.1 Backoff strategies compute the retry delay', function() {
+      var exponential = kickq.backoff.normalize({type: 'exponential',
+        max: 3000});
+      assert.equal(1000, kickq.backoff.getDelay(exponential, 1000, 1));
+      assert.equal(2000, kickq.backoff.getDelay(exponential, 1000, 2));
+      assert.equal(3000, kickq.backoff.getDelay(exponential, 1000, 3),
+        'should be capped to "max"');
+
+      var linear = kickq.backoff.normalize('linear');
+      assert.equal(3000, kickq.backoff.getDelay(linear, 1000, 3));
+
+      var list = kickq.backoff.normalize([60000, 300000]);
+      assert.equal(60000, kickq.backoff.getDelay(list, 1000, 1));
+      assert.equal(300000, kickq.backoff.getDelay(list, 1000, 5),
+        'the last delay should repeat');
+
+      var jittered = kickq.backoff.normalize({type: 'fixed', jitter: 0.5});
+      var delay = kickq.backoff.getDelay(jittered, 1000, 1);
+      assert.ok(500 <= delay && 1000 >= delay, 'jitter should take off up' +
+        ' to half the delay');
+    });
+
+    test('1.5.2 The next attempt time follows the backoff', function(done) {
+      var startTime = Date.now();
+      kickq.create('retry_backoff 1.5.2', null, {
+        retry: true,
+        retryTimes: 3,
+        retryInterval: 60000,
+        retryBackoff: [120000]
+      });
+      kickq.process('retry_backoff 1.5.2', function(job, data, cb) {
+        cb('error', function() {
+          kickq.get(job.id).then(function(jobItem) {
+            assert.equal(kickq.states.Job.RETRY, jobItem.state,
+              'state should be "retry"');
+            assert.operator(jobItem.nextAttemptTime, '>=', startTime + 120000,
+              'next attempt should be 2 minutes later');
+            assert.equal(jobItem.nextAttemptTime, jobItem.scheduledFor,
+              'the job should be scheduled for the next attempt');
+            done();
+          }).otherwise(done);
+        });
+      });
+    });
+
+    test('1.5.3 Backoff can be set per job name', function(done) {
+      kickq.config('jobFlags', {'retry_backoff 1.5.3': {
+        retryBackoff: {type: 'exponential', max: 60000}
+      }});
+      kickq.create('retry_backoff 1.5.3').then(function(job) {
+        assert.equal('exponential', job.retryBackoff.type,
+          'should use the job name backoff');
+        assert.equal(60000, job.retryBackoff.max, 'should keep the cap');
+        done();
+      }).otherwise(done);
+    });
+
+    test('1.5.4 Invalid backoff options throw', function() {
+      assert.throws(function() {
+        kickq.create('retry_backoff 1.5.4', null, {retryBackoff: 'random'});
+      }, TypeError);
+      assert.throws(function() {
+        kickq.create('retry_backoff 1.5.4', null, {ghostBackoff: []});
+      }, TypeError);
+    });
+    test('1.5.5 A retry policy can refuse to retry', function(done) {
+      var policySpy = sinon.spy(function(job, err) {
+        return {retry: 0 !== err.indexOf('400')};
+      });
+      kickq.retryPolicy('retry_policy 1.5.5', policySpy);
+      kickq.create('retry_policy 1.5.5', null, {retry: true, retryTimes: 5});
+      kickq.process('retry_policy 1.5.5', function(job, data, cb) {
+        cb('400 Bad Request', function() {
+          assert.ok(policySpy.calledOnce, 'the policy should be invoked');
+          kickq.get(job.id).then(function(jobItem) {
+            assert.equal(kickq.states.Job.FAIL, jobItem.state,
+              'a permanent error should not be retried');
+            done();
+          }).otherwise(done);
+        });
+      });
+    });
+
+    test('1.5.6 A retry policy can define the delay', function(done) {
+      var startTime = Date.now();
+      kickq.retryPolicy('retry_policy 1.5.6', function() {
+        return {retry: true, delay: 90000};
+      });
+      // retry is off, the policy decides
+      kickq.create('retry_policy 1.5.6');
+      kickq.process('retry_policy 1.5.6', function(job, data, cb) {
+        cb('429 Too Many Requests', function() {
+          kickq.get(job.id).then(function(jobItem) {
+            assert.equal(kickq.states.Job.RETRY, jobItem.state,
+              'state should be "retry"');
+            assert.operator(jobItem.nextAttemptTime, '>=', startTime + 90000,
+              'should wait the policy delay');
+            done();
+          }).otherwise(done);
+        });
+      });
+    });
+
+    test('1.5.7 Invalid retry policies throw', function() {
+      assert.throws(function() {
+        kickq.retryPolicy('retry_policy 1.5.7', {retry: true});
+      }, TypeError);
+    });
   });
 
   suite('1.6 Job Creation returns a Promise', function() {
@@ -347,4 +503,195 @@ suite('Job Creation', function() {
 
   });
 
+  suite('1.7 Batch Job Creation', function() {
+    test('1.7.1 Batch creation resolves with all the job items', function(done) {
+      var data = ['one', 'two', 'three'];
+      var createPromise = kickq.createBatch('create-batch 1.7.1', data);
+
+      assert.isFulfilled(createPromise.then(function(jobs) {
+        assert.isArray(jobs, 'should resolve with an Array');
+        assert.lengthOf(jobs, 3, 'should resolve with 3 job items');
+        jobs.forEach(function(job, index) {
+          assert.equal(job.name, 'create-batch 1.7.1', '"job.name" ' +
+            'property should have proper value');
+          assert.equal(job.data, data[index], '"job.data" should have proper value');
+        });
+        assert.equal(+jobs[0].id + 1, +jobs[1].id, 'job ids should be sequential');
+        assert.equal(+jobs[1].id + 1, +jobs[2].id, 'job ids should be sequential');
+      }), 'batch create promise should resolve').notify(done);
+    });
+
+    test('1.7.2 Batch created jobs get processed', function(done) {
+      var processed = [];
+      kickq.createBatch('create-batch 1.7.2', [1, 2, 3, 4]);
+      kickq.process('create-batch 1.7.2', function(job, data, cb) {
+        processed.push(data);
+        cb();
+        if (4 === processed.length) {
+          assert.deepEqual(processed.sort(), [1, 2, 3, 4], 'all jobs should be processed');
+          done();
+        }
+      });
+    });
+
+    test('1.7.3 Batch created jobs can be fetched', function(done) {
+      kickq.createBatch('create-batch 1.7.3', [{a: 1}], {delay: 1000})
+        .then(function(jobs) {
+          return kickq.get(jobs[0].id);
+        }).then(function(job) {
+          assert.deepEqual(job.data, {a: 1}, 'data should deep equal value passed');
+          assert.equal('delayed', job.state, 'state should be "delayed"');
+          assert.isNumber(job.scheduledFor, '"scheduledFor" should be set');
+          done();
+        }).otherwise(done);
+    });
+
+    test('1.7.4 Batch creation invokes the callback', function(done) {
+      kickq.createBatch('create-batch 1.7.4', ['a', 'b'], function(err, jobs) {
+        assert.isNull(err, 'The "err" arg should be null');
+        assert.lengthOf(jobs, 2, 'should yield 2 job items');
+        done();
+      });
+    });
+  });
+
+  suite('1.8 Job Priorities', function() {
+    test('1.8.1 Priority names resolve to their level', function(done) {
+      kickq.create('create-priority 1.8.1', null, {priority: 'high'})
+        .then(function(job) {
+          assert.equal(kickq.priorities.Level.HIGH, job.priority,
+            '"job.priority" should be the high level');
+          done();
+        }).otherwise(done);
+    });
+
+    test('1.8.2 Numeric priorities are capped to the levels', function(done) {
+      kickq.create('create-priority 1.8.2', null, {priority: 100})
+        .then(function(job) {
+          assert.equal(kickq.priorities.Level.CRITICAL, job.priority,
+            '"job.priority" should be the highest level');
+          done();
+        }).otherwise(done);
+    });
+
+    test('1.8.3 Priority can be set per job name', function(done) {
+      kickq.config('jobFlags', {'create-priority 1.8.3': {priority: 'low'}});
+      kickq.create('create-priority 1.8.3').then(function(job) {
+        assert.equal(kickq.priorities.Level.LOW, job.priority,
+          '"job.priority" should be the low level');
+        done();
+      }).otherwise(done);
+    });
+
+    test('1.8.4 Invalid priorities throw', function() {
+      assert.throws(function() {
+        kickq.create('create-priority 1.8.4', null, {priority: 'urgent'});
+      }, TypeError);
+    });
+  });
+
+  suite('1.9 Unique Jobs', function() {
+    test('1.9.1 Same uniqueKey returns the existing job', function(done) {
+      var opts = {uniqueKey: 'unique 1.9.1'};
+      kickq.create('create-unique 1.9.1', 'one', opts).then(function(jobOne) {
+        return kickq.create('create-unique 1.9.1', 'two', opts)
+          .then(function(jobTwo) {
+            assert.equal(jobOne.id, jobTwo.id, 'Should return the same job');
+            assert.equal('one', jobTwo.data, 'Should keep the original data');
+            done();
+          });
+      }).otherwise(done);
+    });
+
+    test('1.9.2 Concurrent creates produce a single job', function(done) {
+      var opts = {uniqueKey: 'unique 1.9.2'};
+      when.all([
+        kickq.create('create-unique 1.9.2', null, opts),
+        kickq.create('create-unique 1.9.2', null, opts),
+        kickq.create('create-unique 1.9.2', null, opts)
+      ]).then(function(jobs) {
+        assert.equal(jobs[0].id, jobs[1].id, 'Should be the same job');
+        assert.equal(jobs[0].id, jobs[2].id, 'Should be the same job');
+        done();
+      }).otherwise(done);
+    });
+
+    test('1.9.3 A caller supplied jobId is used as the id', function(done) {
+      kickq.create('create-unique 1.9.3', null, {jobId: 'order-1.9.3'})
+        .then(function(job) {
+          assert.equal('order-1.9.3', job.id, 'Should use the jobId');
+          assert.equal('order-1.9.3', job.uniqueKey,
+            'jobId should be the uniqueKey');
+          return kickq.get('order-1.9.3');
+        }).then(function(job) {
+          assert.equal('create-unique 1.9.3', job.name,
+            'Should fetch the job by the supplied id');
+          done();
+        }).otherwise(done);
+    });
+
+    test('1.9.4 Invalid jobIds throw', function() {
+      assert.throws(function() {
+        kickq.create('create-unique 1.9.4', null, {jobId: 42});
+      }, TypeError);
+      assert.throws(function() {
+        kickq.create('create-unique 1.9.4', null, {jobId: '42'});
+      }, TypeError);
+      assert.throws(function() {
+        kickq.createBatch('create-unique 1.9.4', [1, 2], {uniqueKey: 'a'});
+      }, TypeError);
+    });
+
+    test('1.9.5 The key is released on success', function(done) {
+      var opts = {uniqueKey: 'unique 1.9.5'};
+      var firstId;
+      kickq.create('create-unique 1.9.5', null, opts).then(function(job) {
+        firstId = job.id;
+        kickq.process('create-unique 1.9.5', function(job, data, cb) {
+          cb();
+          setTimeout(function() {
+            kickq.create('create-unique 1.9.5', null, opts)
+              .then(function(jobTwo) {
+                assert.notEqual(firstId, jobTwo.id, 'Should be a new job');
+                done();
+              }).otherwise(done);
+          }, 100);
+        });
+      }).otherwise(done);
+    });
+
+    test('1.9.6 The key is released when the job is deleted', function(done) {
+      var opts = {uniqueKey: 'unique 1.9.6'};
+      var firstId;
+      kickq.create('create-unique 1.9.6', null, opts).then(function(job) {
+        firstId = job.id;
+        return kickq.delete(job.id);
+      }).then(function() {
+        return kickq.create('create-unique 1.9.6', null, opts);
+      }).then(function(job) {
+        assert.notEqual(firstId, job.id, 'Should be a new job');
+        done();
+      }).otherwise(done);
+    });
+
+    test('1.9.7 A different uniqueKey on a taken jobId is not kept',
+      function(done) {
+      var opts = {jobId: 'order-1.9.7', uniqueKey: 'unique 1.9.7'};
+      var firstId;
+      kickq.create('create-unique 1.9.7', 'one', {jobId: 'order-1.9.7'})
+        .then(function(job) {
+        firstId = job.id;
+        return kickq.create('create-unique 1.9.7', 'two', opts);
+      }).then(function(job) {
+        assert.equal(firstId, job.id, 'Should resolve the existing job');
+        return kickq.create('create-unique 1.9.7', 'three',
+          {uniqueKey: 'unique 1.9.7'});
+      }).then(function(job) {
+        assert.notEqual(firstId, job.id, 'The uniqueKey should be free');
+        assert.equal('three', job.data, 'Should be the new job');
+        done();
+      }).otherwise(done);
+    });
+  });
+
 });
@@ -8,6 +8,7 @@ var chai = require('chai');
 var grunt  = require('grunt');
 var assert = require('chai').assert;
 var when   = require('when');
+var redis = require('redis');
 
 var kickq  = require('../../');
 var tester = require('../lib/tester');
@@ -32,19 +33,30 @@ jobItemTest.testJobItemProps = function( jobItem ) {
     'finishTime',
     'totalProcessTime',
     'delay',
+    'runAt',
+    'expireAfter',
+    'deadline',
     'processTimeout',
     'retry',
     'retryTimes',
     'retryInterval',
+    'retryBackoff',
     'hotjob',
     'hotjobTimeout',
     'hotjobPromise',
+    'priority',
+    'uniqueKey',
+    'dependsOn',
     'ghostRetry',
     'ghostTimes',
     'ghostInterval',
+    'ghostBackoff',
     'data',
+    'result',
     'lastError',
     'scheduledFor',
+    'nextAttemptTime',
+    'progress',
     'state',
     'runs'
   ];
@@ -79,19 +91,30 @@ jobItemTest.testNewItemPropsType = function( jobItem, optDone ) {
     finishTime: assert.isNull,
     totalProcessTime: assert.isNull,
     delay: assert.isNull,
+    runAt: assert.isNull,
+    expireAfter: assert.isNull,
+    deadline: assert.isNull,
     processTimeout: assert.isNumber,
     retry: assert.isBoolean,
     retryTimes: assert.isNumber,
     retryInterval: assert.isNumber,
+    retryBackoff: assert.isObject,
     hotjob: assert.isBoolean,
     hotjobTimeout: assert.isNumber,
     hotjobPromise: assert.isNull,
+    priority: assert.isNumber,
+    uniqueKey: assert.isNull,
+    dependsOn: assert.isArray,
     ghostRetry: assert.isBoolean,
     ghostTimes: assert.isNumber,
     ghostInterval: assert.isNumber,
+    ghostBackoff: assert.isObject,
     data: assert.isNull,
+    result: assert.isNull,
     lastError: assert.isNull,
     scheduledFor: assert.isNull,
+    nextAttemptTime: assert.isNull,
+    progress: assert.isNull,
     state: assert.isString,
     runs: assert.isArray,
   };
@@ -187,6 +210,9 @@ suite('3. Job Item Status and Props', function() {
       assert.equal(false, jobItem.retry, 'retry should have the proper default value');
       assert.equal(3, jobItem.retryTimes, 'retryTimes should have the proper default value');
       assert.equal(1800000, jobItem.retryInterval, 'retryInterval should have the proper default value');
+      assert.equal(0, jobItem.priority, 'priority should have the proper default value');
+      assert.equal('fixed', jobItem.retryBackoff.type, 'retryBackoff should have the proper default value');
+      assert.equal('fixed', jobItem.ghostBackoff.type, 'ghostBackoff should have the proper default value');
     });
 
     test('3.0.3 Check .get callback is called when no results', function(done) {
@@ -518,4 +544,198 @@ suite('3.4 Configuring Job Item', function() {
 
   });
 
-});
\ No newline at end of file
+});
+
+suite('3.5 Compression', function() {
+  var client;
+  var bigData = {text: new Array(2001).join('kickq ')};
+
+  setup(function(done) {
+    kickq.reset();
+    kickq.config({
+      redisNamespace: tester.NS,
+      compressThreshold: 1024
+    });
+    client = redis.createClient();
+    tester.clear(done);
+  });
+
+  teardown(function() {
+    client.end();
+  });
+
+  test('3.5.1 Large data is stored compressed', function(done) {
+    kickq.create('jobItem compress 3.5.1', bigData).then(function(job) {
+      client.hget(tester.NS + ':job:' + job.id, 'itemData', function(err, res) {
+        if (err) {
+          return done(err);
+        }
+        var stored = JSON.parse(res);
+        assert.deepEqual(['data'], stored.compressed,
+          '"data" should be listed as compressed');
+        assert.isString(stored.data, 'stored "data" should be encoded');
+        assert.operator(res.length, '<', bigData.text.length,
+          'the record should be smaller than the data');
+        done();
+      });
+    }).otherwise(done);
+  });
+
+  test('3.5.2 Compressed data is read back', function(done) {
+    kickq.create('jobItem compress 3.5.2', bigData).then(function(job) {
+      return kickq.get(job.id);
+    }).then(function(jobItem) {
+      assert.deepEqual(bigData, jobItem.data, '"data" should be decompressed');
+      assert.notProperty(jobItem, 'compressed',
+        'the "compressed" key should not be exposed');
+      done();
+    }).otherwise(done);
+  });
+
+  test('3.5.3 Small data is stored as is', function(done) {
+    kickq.create('jobItem compress 3.5.3', 'small').then(function(job) {
+      client.hget(tester.NS + ':job:' + job.id, 'itemData', function(err, res) {
+        if (err) {
+          return done(err);
+        }
+        var stored = JSON.parse(res);
+        assert.notProperty(stored, 'compressed', 'should not be compressed');
+        assert.equal('small', stored.data, '"data" should be stored as is');
+        done();
+      });
+    }).otherwise(done);
+  });
+
+  test('3.5.4 Uncompressed records are still read', function(done) {
+    kickq.config('compressThreshold', null);
+    kickq.create('jobItem compress 3.5.4', bigData).then(function(job) {
+      kickq.config('compressThreshold', 1024);
+      return kickq.get(job.id);
+    }).then(function(jobItem) {
+      assert.deepEqual(bigData, jobItem.data, '"data" should be read');
+      done();
+    }).otherwise(done);
+  });
+
+  test('3.5.5 Batch created large data is stored compressed', function(done) {
+    kickq.createBatch('jobItem compress 3.5.5', [bigData, 'small'])
+      .then(function(jobs) {
+      client.hget(tester.NS + ':job:' + jobs[0].id, 'itemData',
+        function(err, res) {
+        if (err) {
+          return done(err);
+        }
+        var stored = JSON.parse(res);
+        assert.deepEqual(['data'], stored.compressed,
+          '"data" should be listed as compressed');
+        kickq.get(jobs[0].id).then(function(jobItem) {
+          assert.deepEqual(bigData, jobItem.data,
+            '"data" should be decompressed');
+          done();
+        }).otherwise(done);
+      });
+    }).otherwise(done);
+  });
+});
+
+suite('3.6 Serializers', function() {
+
+  setup(function(done) {
+    kickq.reset();
+    kickq.config({
+      redisNamespace: tester.NS,
+      serializer: 'extended'
+    });
+    tester.clear(done);
+  });
+
+  teardown(function(done) {
+    kickq.reset();
+    tester.clear(done);
+  });
+
+  test('3.6.1 The extended serializer round-trips values', function() {
+    var codec = kickq.serializer.extended;
+    var value = codec.decode(codec.encode({
+      date: new Date(1000),
+      buffer: new Buffer('kickq')
+    }));
+    assert.instanceOf(value.date, Date, 'should restore Dates');
+    assert.equal(1000, value.date.getTime(), 'should restore the time');
+    assert.ok(Buffer.isBuffer(value.buffer), 'should restore Buffers');
+    assert.equal('kickq', value.buffer.toString(), 'should restore the bytes');
+  });
+
+  test('3.6.1.1 The extended serializer round-trips Maps and Sets',
+    function() {
+    if ('undefined' === typeof Map || 'undefined' === typeof Set) {
+      return;
+    }
+    var set = new Set();
+    set.add(1);
+    set.add(2);
+    var map = new Map();
+    map.set('key', set);
+
+    var codec = kickq.serializer.extended;
+    var value = codec.decode(codec.encode({map: map}));
+    assert.instanceOf(value.map, Map, 'should restore Maps');
+    assert.instanceOf(value.map.get('key'), Set, 'should restore nested Sets');
+    assert.ok(value.map.get('key').has(2), 'should restore the Set values');
+  });
+
+  test('3.6.2 Job data keeps its types when fetched', function(done) {
+    var data = {when: new Date(1000), raw: new Buffer('kickq')};
+    kickq.create('jobItem serializer 3.6.2', data).then(function(job) {
+      return kickq.get(job.id);
+    }).then(function(jobItem) {
+      assert.instanceOf(jobItem.data.when, Date, '"data.when" should be a Date');
+      assert.equal(1000, jobItem.data.when.getTime(), 'should keep the time');
+      assert.ok(Buffer.isBuffer(jobItem.data.raw), '"data.raw" should be a Buffer');
+      done();
+    }).otherwise(done);
+  });
+
+  test('3.6.3 A custom serializer is used', function(done) {
+    var encoded = 0;
+    var decoded = 0;
+    kickq.config('serializer', {
+      encode: function(value) {
+        encoded++;
+        return JSON.stringify(value);
+      },
+      decode: function(serialized) {
+        decoded++;
+        return JSON.parse(serialized);
+      }
+    });
+    kickq.create('jobItem serializer 3.6.3', 'data').then(function(job) {
+      return kickq.get(job.id);
+    }).then(function(jobItem) {
+      assert.equal('data', jobItem.data, '"data" should be read');
+      assert.operator(encoded, '>', 0, 'should encode with the serializer');
+      assert.operator(decoded, '>', 0, 'should decode with the serializer');
+      done();
+    }).otherwise(done);
+  });
+
+  test('3.6.4 A job with data that fails to serialize survives', function(done) {
+    var data = {};
+    data.self = data;
+    kickq.config('serializer', 'json');
+    kickq.create('jobItem serializer 3.6.4', data).then(function(job) {
+      return kickq.get(job.id);
+    }).then(function(jobItem) {
+      assert.equal('jobItem serializer 3.6.4', jobItem.name,
+        'the job should be stored');
+      assert.isNull(jobItem.data, '"data" should be dropped');
+      done();
+    }).otherwise(done);
+  });
+
+  test('3.6.5 Invalid serializers throw', function() {
+    assert.throws(function() {
+      kickq.serializer.normalize({encode: noop});
+    }, TypeError);
+  });
+});
@@ -15,6 +15,32 @@ suite('0.0 API scaffolding', function() {
     assert.isFunction(kickq.create, 'should have the "create" function');
     assert.isFunction(kickq.process, 'should have the "process" function');
     assert.isFunction(kickq.delete, 'should have the "delete" function');
+    assert.isFunction(kickq.cancel, 'should have the "cancel" function');
+    assert.isFunction(kickq.pause, 'should have the "pause" function');
+    assert.isFunction(kickq.resume, 'should have the "resume" function');
+    assert.isFunction(kickq.shutdown, 'should have the "shutdown" function');
+    assert.isFunction(kickq.reschedule, 'should have the "reschedule" function');
+    assert.isFunction(kickq.retryPolicy, 'should have the "retryPolicy" function');
+    assert.isFunction(kickq.every, 'should have the "every" function');
+    assert.isFunction(kickq.unschedule, 'should have the "unschedule" function');
+    assert.isFunction(kickq.upcoming, 'should have the "upcoming" function');
+    assert.isFunction(kickq.getLogs, 'should have the "getLogs" function');
+    assert.isFunction(kickq.deadLetters, 'should have the "deadLetters" function');
+    assert.isFunction(kickq.replay, 'should have the "replay" function');
+    assert.isFunction(kickq.createInstance, 'should have the "createInstance" function');
+  });
+
+  test('0.0.2 Instance Functions', function() {
+    var instance = kickq.createInstance();
+    assert.isFunction(instance.config, 'should have a "config" function');
+    assert.isFunction(instance.reset, 'should have a "reset" function');
+    assert.isFunction(instance.create, 'should have the "create" function');
+    assert.isFunction(instance.process, 'should have the "process" function');
+    assert.isFunction(instance.get, 'should have the "get" function');
+    assert.isObject(instance.metrics, 'should have the "metrics" object');
+    assert.notEqual(kickq.metrics, instance.metrics,
+      'should not share the "metrics" object');
+    instance.reset();
   });
 
 });
@@ -0,0 +1,813 @@
+/**
+ * @fileOverview Managing existing jobs with kickq.
+ */
+
+var sinon  = require('sinon');
+var assert = require('chai').assert;
+var when   = require('when');
+
+var kickq  = require('../../');
+var tester = require('../lib/tester');
+
+var noop = function(){};
+
+suite('6. Managing Jobs', function() {
+
+  setup(function(done) {
+    kickq.reset();
+    kickq.config({
+      redisNamespace: tester.NS
+    });
+    tester.clear(done);
+  });
+
+  teardown(function(done) {
+    kickq.reset();
+    tester.clear(done);
+  });
+
+  // The numbering (e.g. 1.1.1) has nothing to do with order
+  // The purpose is to provide a unique string so specific tests are
+  // run by using the mocha --grep "1.1.1" option.
+
+  suite('6.1 Deleting Jobs', function() {
+    test('6.1.1 Delete a queued job', function(done) {
+      kickq.create('delete-queued 6.1.1').then(function(job) {
+        return kickq.delete(job.id).then(function() {
+          return assert.isRejected(kickq.get(job.id), kickq.Error.NoRecord,
+            'fetching a deleted job should fail');
+        });
+      }).then(function() {done();}, done);
+    });
+
+    test('6.1.2 A deleted queued job never gets processed', function(done) {
+      var spy = sinon.spy();
+      kickq.create('delete-unprocessed 6.1.2').then(function(job) {
+        return kickq.delete(job.id);
+      }).then(function() {
+        kickq.process('delete-unprocessed 6.1.2', spy);
+
+        setTimeout(function() {
+          assert.ok(!spy.called, 'The deleted job should not be processed');
+          done();
+        }, 300);
+      }, done);
+    });
+
+    test('6.1.3 Delete a delayed job', function(done) {
+      kickq.create('delete-delayed 6.1.3', 'data', {delay: 1000})
+        .then(function(job) {
+          assert.equal('delayed', job.state, 'Job should be "delayed"');
+          return kickq.delete(job.id).then(function() {
+            return assert.isRejected(kickq.get(job.id), kickq.Error.NoRecord,
+              'fetching a deleted job should fail');
+          });
+        }).then(function() {done();}, done);
+    });
+
+    test('6.1.4 Deleting a processing job is refused', function(done) {
+      kickq.create('delete-processing 6.1.4');
+      kickq.process('delete-processing 6.1.4', function(job, data, cb) {
+        kickq.delete(job.id).then(function() {
+          done(new Error('delete should have been rejected'));
+        }, function(err) {
+          assert.instanceOf(err, kickq.Error.Processing, 'should be an ' +
+            'instance of Processing Error');
+          cb();
+          done();
+        }).otherwise(done);
+      });
+    });
+
+    test('6.1.5 Delete invokes the callback', function(done) {
+      kickq.create('delete-callback 6.1.5').then(function(job) {
+        kickq.delete(job.id, function(err) {
+          assert.isNull(err, 'The "err" arg should be null');
+          done();
+        });
+      }, done);
+    });
+
+    test('6.1.6 Deleting an unknown job fails with NoRecord', function(done) {
+      kickq.delete('does not exist', function(err) {
+        assert.instanceOf(err, kickq.Error.NoRecord, 'should be instance of' +
+          ' NoRecord Error');
+        done();
+      }).otherwise(noop);
+    });
+  });
+
+  suite('6.2 Cancelling Jobs', function() {
+    test('6.2.1 The consumer gets the cancel signal', function(done) {
+      kickq.create('cancel-signal 6.2.1');
+      kickq.process('cancel-signal 6.2.1', function(job) {
+        assert.isFalse(job.cancelled, '"cancelled" flag should be false');
+        job.onCancel(function() {
+          assert.isTrue(job.cancelled, '"cancelled" flag should be true');
+          done();
+        });
+        // allow for the signal subscription to be established
+        setTimeout(function() {
+          kickq.cancel(job.id).otherwise(done);
+        }, 100);
+      });
+    });
+
+    test('6.2.2 A cancelled job fails without retrying', function(done) {
+      var processCount = 0;
+      kickq.create('cancel-fail 6.2.2', 'data', {retry: true, retryInterval: 10});
+      kickq.process('cancel-fail 6.2.2', function(job, data, cb) {
+        processCount++;
+        job.onCancel(function() {
+          cb();
+          setTimeout(function() {
+            kickq.get(job.id).then(function(jobItem) {
+              assert.equal(kickq.states.Job.FAIL, jobItem.state, 'state should' +
+                ' be "fail"');
+              assert.equal('job cancelled', jobItem.lastError, '"lastError"' +
+                ' should have proper value');
+              assert.equal(1, processCount, 'Job should be processed once');
+              done();
+            }).otherwise(done);
+          }, 100);
+        });
+        setTimeout(function() {
+          kickq.cancel(job.id).otherwise(done);
+        }, 100);
+      });
+    });
+
+    test('6.2.3 Cancelling a job that is not processing is refused', function(done) {
+      kickq.create('cancel-queued 6.2.3').then(function(job) {
+        return kickq.cancel(job.id);
+      }).then(function() {
+        done(new Error('cancel should have been rejected'));
+      }, function(err) {
+        assert.instanceOf(err, kickq.Error.InvalidState, 'should be an ' +
+          'instance of InvalidState Error');
+        done();
+      }).otherwise(done);
+    });
+
+    test('6.2.4 The consumer gets the cancel signal on timeout', function(done) {
+      kickq.create('cancel-timeout 6.2.4', 'data', {processTimeout: 50});
+      kickq.process('cancel-timeout 6.2.4', function(job) {
+        job.onCancel(function() {
+          assert.isTrue(job.cancelled, '"cancelled" flag should be true');
+          done();
+        });
+      });
+    });
+
+    test('6.2.5 A cancelled job holds its slot until it calls back', function(done) {
+      var started = [];
+      var finishFirst;
+      when.all([
+        kickq.create('cancel-slot 6.2.5'),
+        kickq.create('cancel-slot 6.2.5')
+      ]).then(function() {
+        kickq.process('cancel-slot 6.2.5', {concurrentJobs: 1},
+          function(job, data, cb) {
+          started.push(job.id);
+          if (2 === started.length) {
+            assert.isFunction(finishFirst, 'the first job should have' +
+              ' called back first');
+            cb();
+            done();
+            return;
+          }
+          job.onCancel(function() {
+            setTimeout(function() {
+              assert.lengthOf(started, 1, 'no job should start while the' +
+                ' cancelled one runs');
+              finishFirst = cb;
+              cb();
+            }, 100);
+          });
+          setTimeout(function() {
+            kickq.cancel(job.id).otherwise(done);
+          }, 100);
+        });
+      }).otherwise(done);
+    });
+  });
+
+  suite('6.3 Listing Jobs', function() {
+    var jobIds;
+
+    // create the jobs a few ms apart so creation times differ
+    function createLater(jobName, optData, optOpts) {
+      var def = when.defer();
+      setTimeout(function() {
+        kickq.create(jobName, optData, optOpts).then(function(job) {
+          jobIds.push(job.id);
+          def.resolve();
+        }, def.reject);
+      }, 5);
+      return def.promise;
+    }
+
+    setup(function(done) {
+      jobIds = [];
+      createLater('list-one 6.3')
+        .then(createLater.bind(null, 'list-two 6.3'))
+        .then(createLater.bind(null, 'list-one 6.3', 'data', {delay: 10000}))
+        .then(function() {done();}, done);
+    });
+
+    test('6.3.1 getMany fetches the job items in order', function(done) {
+      var ids = jobIds.concat('does not exist');
+      kickq.getMany(ids).then(function(jobs) {
+        assert.lengthOf(jobs, 4, 'should yield 4 items');
+        assert.equal(jobIds[0], jobs[0].id, 'first job should match');
+        assert.equal(jobIds[2], jobs[2].id, 'third job should match');
+        assert.isNull(jobs[3], 'missing job should be null');
+        done();
+      }).otherwise(done);
+    });
+
+    test('6.3.2 list all jobs newest first', function(done) {
+      kickq.list().then(function(jobs) {
+        assert.lengthOf(jobs, 3, 'should list 3 jobs');
+        assert.equal(jobIds[2], jobs[0].id, 'newest job should be first');
+        done();
+      }).otherwise(done);
+    });
+
+    test('6.3.3 list jobs by name and state', function(done) {
+      kickq.list({name: 'list-one 6.3', state: 'delayed'}).then(function(jobs) {
+        assert.lengthOf(jobs, 1, 'should list 1 job');
+        assert.equal(jobIds[2], jobs[0].id, 'should be the delayed job');
+        done();
+      }).otherwise(done);
+    });
+
+    test('6.3.4 list jobs by name, paged, oldest first', function(done) {
+      var query = {name: 'list-one 6.3', order: 'asc', offset: 1, limit: 1};
+      kickq.list(query).then(function(jobs) {
+        assert.lengthOf(jobs, 1, 'should list 1 job');
+        assert.equal(jobIds[2], jobs[0].id, 'should be the second job');
+        done();
+      }).otherwise(done);
+    });
+
+    test('6.3.5 list jobs in a time range', function(done) {
+      var query = {from: Date.now() + 60000};
+      kickq.list(query).then(function(jobs) {
+        assert.lengthOf(jobs, 0, 'should list no jobs');
+        done();
+      }).otherwise(done);
+    });
+
+    test('6.3.6 list rejects an invalid state', function(done) {
+      assert.isRejected(kickq.list({state: 'bogus'}), TypeError,
+        'should reject on invalid state').notify(done);
+    });
+
+
+    test('6.3.7 list jobs by state, paged, caches the filter for a while',
+      function(done) {
+      var query = {state: 'queued', offset: 1, limit: 1};
+      kickq.list(query).then(function(jobs) {
+        assert.lengthOf(jobs, 1, 'should list 1 job');
+        assert.equal(jobIds[0], jobs[0].id, 'should be the older queued job');
+        tester.rBuster.client.keys(tester.NS + ':query-tmp:*',
+          function(err, keys) {
+          if (err) {
+            return done(err);
+          }
+          assert.lengthOf(keys, 1, 'the filter should be cached');
+          tester.rBuster.client.pttl(keys[0], function(err, ttl) {
+            assert.operator(ttl, '>', 0, 'the cache should expire');
+            done(err);
+          });
+        });
+      }).otherwise(done);
+    });
+
+    test('6.3.8 the following pages are read off the cache', function(done) {
+      var query = {state: 'queued', limit: 1};
+      kickq.list(query).then(function(jobs) {
+        assert.equal(jobIds[1], jobs[0].id, 'should be the newest queued job');
+        query.offset = 1;
+        return kickq.list(query);
+      }).then(function(jobs) {
+        assert.lengthOf(jobs, 1, 'should list 1 job');
+        assert.equal(jobIds[0], jobs[0].id, 'should be the older queued job');
+        done();
+      }).otherwise(done);
+    });
+  });
+
+  suite('6.4 Job Statistics', function() {
+    setup(function(done) {
+      when.all([
+        kickq.create('stats-one 6.4'),
+        kickq.create('stats-one 6.4'),
+        kickq.create('stats-one 6.4', 'data', {delay: 10000}),
+        kickq.create('stats-two 6.4')
+      ]).then(function() {done();}, done);
+    });
+
+    test('6.4.1 stats of a job name', function(done) {
+      kickq.stats('stats-one 6.4').then(function(stats) {
+        assert.equal(2, stats.queued, '"queued" should be 2');
+        assert.equal(1, stats.delayed, '"delayed" should be 1');
+        assert.equal(0, stats.processing, '"processing" should be 0');
+        assert.equal(0, stats.success, '"success" should be 0');
+        assert.equal(0, stats.fail, '"fail" should be 0');
+        assert.equal(0, stats.retry, '"retry" should be 0');
+        assert.equal(0, stats.ghost, '"ghost" should be 0');
+        assert.equal(0, stats.expired, '"expired" should be 0');
+        assert.isNumber(stats.oldestAge, '"oldestAge" should be a number');
+        done();
+      }).otherwise(done);
+    });
+
+    test('6.4.2 stats of all job names', function(done) {
+      kickq.stats(function(err, stats) {
+        assert.isNull(err, 'The "err" arg should be null');
+        assert.property(stats, 'stats-one 6.4', 'should have the first job name');
+        assert.property(stats, 'stats-two 6.4', 'should have the second job name');
+        assert.equal(1, stats['stats-two 6.4'].queued, '"queued" should be 1');
+        done();
+      });
+    });
+
+    test('6.4.3 stats follow state changes', function(done) {
+      kickq.process('stats-two 6.4', function(job, data, cb) {
+        cb(null, function() {
+          kickq.stats('stats-two 6.4').then(function(stats) {
+            assert.equal(0, stats.queued, '"queued" should be 0');
+            assert.equal(0, stats.processing, '"processing" should be 0');
+            assert.equal(1, stats.success, '"success" should be 1');
+            assert.isNull(stats.oldestAge, '"oldestAge" should be null');
+            done();
+          }).otherwise(done);
+        });
+      });
+    });
+  });
+
+  suite('6.5 Retry and Promote Jobs', function() {
+    test('6.5.1 Promote a delayed job', function(done) {
+      var startTime = Date.now();
+      kickq.create('promote-delayed 6.5.1', 'data', {delay: 10000})
+        .then(function(job) {
+          return kickq.promote(job.id);
+        }).then(function(job) {
+          assert.equal(kickq.states.Job.QUEUED, job.state, 'state should be' +
+            ' "queued"');
+          kickq.process('promote-delayed 6.5.1', function(job, data, cb) {
+            assert.operator(Date.now() - startTime, '<', 2000, 'job should' +
+              ' be processed right away');
+            cb(null, done);
+          });
+        }).otherwise(done);
+    });
+
+    test('6.5.2 Retry a failed job', function(done) {
+      var processCount = 0;
+      kickq.create('retry-failed 6.5.2');
+      kickq.process('retry-failed 6.5.2', function(job, data, cb) {
+        processCount++;
+        if (1 === processCount) {
+          cb('first run fails', function() {
+            kickq.retry(job.id).otherwise(done);
+          });
+          return;
+        }
+
+        assert.lengthOf(job.runs, 1, 'the first run should be kept');
+        assert.equal(kickq.states.Job.FAIL, job.runs[0].state, 'first run' +
+          ' should have failed');
+        assert.isFalse(job.complete, '"complete" should be reset');
+        cb(null, function() {
+          kickq.get(job.id).then(function(jobItem) {
+            assert.isTrue(jobItem.success, '"success" should be true');
+            assert.equal(kickq.states.Job.SUCCESS, jobItem.state, 'state' +
+              ' should be "success"');
+            done();
+          }).otherwise(done);
+        });
+      });
+    });
+
+    test('6.5.3 Retrying a job that has not failed is refused', function(done) {
+      kickq.create('retry-queued 6.5.3').then(function(job) {
+        return kickq.retry(job.id);
+      }).then(function() {
+        done(new Error('retry should have been rejected'));
+      }, function(err) {
+        assert.instanceOf(err, kickq.Error.InvalidState, 'should be an ' +
+          'instance of InvalidState Error');
+        done();
+      }).otherwise(done);
+    });
+
+    test('6.5.4 Promoting a queued job is refused', function(done) {
+      kickq.create('promote-queued 6.5.4').then(function(job) {
+        return kickq.promote(job.id);
+      }).then(function() {
+        done(new Error('promote should have been rejected'));
+      }, function(err) {
+        assert.instanceOf(err, kickq.Error.InvalidState, 'should be an ' +
+          'instance of InvalidState Error');
+        done();
+      }).otherwise(done);
+    });
+    test('6.5.5 Reschedule a delayed job', function(done) {
+      var runAt = new Date(Date.now() + 120000);
+      kickq.create('reschedule-delayed 6.5.5', 'data', {delay: 60000})
+        .then(function(job) {
+          return kickq.reschedule(job.id, runAt);
+        }).then(function(job) {
+          assert.equal(runAt.getTime(), job.scheduledFor, '"scheduledFor"' +
+            ' should be the new time');
+          return kickq.get(job.id);
+        }).then(function(jobItem) {
+          assert.equal(runAt.getTime(), jobItem.runAt, 'the new time should' +
+            ' be stored');
+          assert.equal(kickq.states.Job.DELAYED, jobItem.state, 'state' +
+            ' should still be "delayed"');
+          done();
+        }).otherwise(done);
+    });
+
+    test('6.5.6 Rescheduling a queued job is refused', function(done) {
+      kickq.create('reschedule-queued 6.5.6').then(function(job) {
+        return kickq.reschedule(job.id, Date.now() + 60000);
+      }).then(function() {
+        done(new Error('reschedule should have been rejected'));
+      }, function(err) {
+        assert.instanceOf(err, kickq.Error.InvalidState, 'should be an ' +
+          'instance of InvalidState Error');
+        done();
+      }).otherwise(done);
+    });
+
+    test('6.5.7 Promoting a job the scheduler already took is refused',
+      function(done) {
+      kickq.create('promote-taken 6.5.7', 'data', {delay: 60000})
+        .then(function(job) {
+          var def = when.defer();
+          // as if the scheduler popped it
+          tester.rBuster.client.zrem(tester.NS + ':scheduled', job.id,
+            function(err) {
+            if (err) {
+              return def.reject(err);
+            }
+            def.resolve(job);
+          });
+          return def.promise;
+        }).then(function(job) {
+          return kickq.promote(job.id);
+        }).then(function() {
+          done(new Error('promote should have been rejected'));
+        }, function(err) {
+          assert.instanceOf(err, kickq.Error.InvalidState, 'should be an ' +
+            'instance of InvalidState Error');
+          done();
+        }).otherwise(done);
+    });
+
+    test('6.5.8 Retry a failed job no longer on the purge schedule',
+      function(done) {
+      kickq.config('purgeJobs', false);
+      var processCount = 0;
+      kickq.create('retry-unscheduled 6.5.8');
+      kickq.process('retry-unscheduled 6.5.8', function(job, data, cb) {
+        processCount++;
+        if (1 === processCount) {
+          cb('first run fails', function() {
+            // as if the scheduler popped the purge
+            tester.rBuster.client.zrem(tester.NS + ':scheduled-purge', job.id,
+              function(err) {
+              if (err) {
+                return done(err);
+              }
+              kickq.retry(job.id).otherwise(done);
+            });
+          });
+          return;
+        }
+
+        cb(null, done);
+      });
+    });
+  });
+
+  suite('6.6 Pause and Resume Job Names', function() {
+    test('6.6.1 isPaused reflects pause and resume', function(done) {
+      kickq.pause('pause-flag 6.6.1').then(function() {
+        return kickq.isPaused('pause-flag 6.6.1');
+      }).then(function(isPaused) {
+        assert.isTrue(isPaused, 'job name should be paused');
+        return kickq.resume('pause-flag 6.6.1');
+      }).then(function() {
+        return kickq.isPaused('pause-flag 6.6.1');
+      }).then(function(isPaused) {
+        assert.isFalse(isPaused, 'job name should not be paused');
+        done();
+      }).otherwise(done);
+    });
+
+    test('6.6.2 A paused job name is not processed until resumed', function(done) {
+      var resumed = false;
+      kickq.pause('pause-process 6.6.2').then(function() {
+        kickq.create('pause-process 6.6.2');
+        kickq.process('pause-process 6.6.2', function(job, data, cb) {
+          assert.ok(resumed, 'job should be processed only after resume');
+          cb(null, done);
+        });
+
+        setTimeout(function() {
+          resumed = true;
+          kickq.resume('pause-process 6.6.2').otherwise(done);
+        }, 500);
+      }).otherwise(done);
+    });
+
+    test('6.6.3 Jobs get queued while paused', function(done) {
+      kickq.pause('pause-queue 6.6.3').then(function() {
+        return kickq.create('pause-queue 6.6.3');
+      }).then(function() {
+        return kickq.stats('pause-queue 6.6.3');
+      }).then(function(stats) {
+        assert.equal(1, stats.queued, 'job should be queued');
+        done();
+      }).otherwise(done);
+    });
+
+    test('6.6.4 Resume reaches a worker blocked on other job names',
+      function(done) {
+      this.timeout(5000);
+      var resumedAt = null;
+      kickq.pause('pause-multi-a 6.6.4').then(function() {
+        kickq.create('pause-multi-a 6.6.4');
+        kickq.process(['pause-multi-a 6.6.4', 'pause-multi-b 6.6.4'],
+          function(job, data, cb) {
+          assert.equal('pause-multi-a 6.6.4', job.name, 'should be the' +
+            ' resumed job name');
+          assert.isNotNull(resumedAt, 'job should be processed after resume');
+          assert.operator(Date.now() - resumedAt, '<', 2500, 'job should be' +
+            ' processed soon after resume');
+          cb(null, done);
+        });
+
+        setTimeout(function() {
+          resumedAt = Date.now();
+          kickq.resume('pause-multi-a 6.6.4').otherwise(done);
+        }, 500);
+      }).otherwise(done);
+    });
+  });
+
+  suite('6.7 Graceful Shutdown', function() {
+    test('6.7.1 Shutdown waits for a processing job to finish', function(done) {
+      var jobId;
+      kickq.create('shutdown-wait 6.7.1').then(function(job) {
+        jobId = job.id;
+      }).otherwise(done);
+
+      kickq.process('shutdown-wait 6.7.1', function(job, data, cb) {
+        var finished = false;
+        kickq.shutdown().then(function() {
+          assert.ok(finished, 'shutdown should resolve after the job finished');
+          kickq.config({redisNamespace: tester.NS});
+          return kickq.get(jobId);
+        }).then(function(jobItem) {
+          assert.equal(kickq.states.Job.SUCCESS, jobItem.state,
+            'job should be marked as success');
+          done();
+        }).otherwise(done);
+
+        setTimeout(function() {
+          finished = true;
+          cb();
+        }, 200);
+      });
+    });
+
+    test('6.7.2 Jobs still processing on timeout are marked ghost', function(done) {
+      var jobId;
+      kickq.create('shutdown-expire 6.7.2').then(function(job) {
+        jobId = job.id;
+      }).otherwise(done);
+
+      kickq.process('shutdown-expire 6.7.2', function() {
+        kickq.shutdown({timeout: 100}).then(function() {
+          kickq.config({redisNamespace: tester.NS});
+          return kickq.get(jobId);
+        }).then(function(jobItem) {
+          assert.equal(kickq.states.Job.GHOST, jobItem.state,
+            'job should be marked as ghost');
+          done();
+        }).otherwise(done);
+      });
+    });
+
+    test('6.7.3 Lined up jobs keep their schedule', function(done) {
+      kickq.config('schedulerLookAhead', 5000);
+      var jobItem;
+      kickq.create('shutdown-lineup 6.7.3', null, {delay: 3000})
+        .then(function(job) {
+        jobItem = job;
+        // starts the scheduler, which lines the delayed job up
+        kickq.process('shutdown-lineup 6.7.3 other', noop);
+        setTimeout(function() {
+          kickq.shutdown().then(function() {
+            tester.rBuster.client.zscore(tester.NS + ':scheduled', jobItem.id,
+              function(err, score) {
+              if (err) {
+                return done(err);
+              }
+              assert.equal(jobItem.scheduledFor, +score, 'job should be back' +
+                ' on the schedule at its time');
+              kickq.config({redisNamespace: tester.NS});
+              kickq.get(jobItem.id).then(function(fetched) {
+                assert.equal(kickq.states.Job.DELAYED, fetched.state,
+                  'job should still be delayed');
+                done();
+              }).otherwise(done);
+            });
+          }).otherwise(done);
+        }, 300);
+      }).otherwise(done);
+    });
+  });
+
+  suite('6.8 Multiple Instances', function() {
+    var instance;
+
+    setup(function() {
+      instance = kickq.createInstance({
+        redisNamespace: tester.NS + '-other'
+      });
+    });
+
+    teardown(function() {
+      instance.reset();
+    });
+
+    test('6.8.1 Instances do not share jobs', function(done) {
+      instance.create('instance-create 6.8.1').then(function(job) {
+        return instance.get(job.id).then(function(jobItem) {
+          assert.equal(job.id, jobItem.id, 'instance should fetch its job');
+          return assert.isRejected(kickq.get(job.id), kickq.Error.NoRecord,
+            'default instance should not find the job');
+        });
+      }).then(function() {done();}, done);
+    });
+
+    test('6.8.2 Instances have their own config', function() {
+      instance.config('processTimeout', 500);
+      assert.equal(tester.NS + '-other',
+        instance.ctx.config.get('redisNamespace'),
+        'instance should have its own namespace');
+      assert.notEqual(500, kickq.ctx.config.get('processTimeout'),
+        'default instance config should not change');
+    });
+
+    test('6.8.3 An instance processes its own jobs', function(done) {
+      var otherProcessed = false;
+      kickq.process('instance-process 6.8.3', function(job, data, cb) {
+        otherProcessed = true;
+        cb();
+      });
+      instance.process('instance-process 6.8.3', function(job, data, cb) {
+        assert.equal('instance', data, 'should get the instance job');
+        cb();
+        setTimeout(function() {
+          assert.isFalse(otherProcessed, 'default instance should not process');
+          done();
+        }, 100);
+      });
+      instance.create('instance-process 6.8.3', 'instance').otherwise(done);
+    });
+
+    test('6.8.4 The default instance methods work detached', function(done) {
+      var config = kickq.config;
+      var create = kickq.create;
+      config({processTimeout: 700});
+      assert.equal(700, kickq.ctx.config.get('processTimeout'),
+        'detached config should set the default instance config');
+      create('instance-detached 6.8.4').then(function(job) {
+        assert.ok(job.id, 'detached create should create the job');
+        done();
+      }).otherwise(done);
+    });
+  });
+
+  suite('6.9 Recurring Jobs', function() {
+    test('6.9.1 Upcoming occurrences follow the cron expression', function(done) {
+      kickq.every('recurring-upcoming 6.9.1', '0 9 * * *', 'data')
+        .then(function(definition) {
+          assert.equal('0 9 * * *', definition.cron, 'should store the cron');
+          assert.isNull(definition.tz, 'timezone should default to UTC');
+          assert.ok(definition.nextRun > Date.now(),
+            'next run should be in the future');
+          return kickq.upcoming({name: 'recurring-upcoming 6.9.1', limit: 3});
+        }).then(function(occurrences) {
+          assert.lengthOf(occurrences, 3, 'should list 3 occurrences');
+          occurrences.forEach(function(occurrence) {
+            assert.equal(9, new Date(occurrence.runAt).getUTCHours(),
+              'should run at 09:00 UTC');
+          });
+          assert.equal(86400000, occurrences[1].runAt - occurrences[0].runAt,
+            'should run daily');
+          done();
+        }).otherwise(done);
+    });
+
+    test('6.9.2 Cron expressions honor the timezone', function(done) {
+      kickq.every('recurring-tz 6.9.2', '0 9 * * *', null, {tz: 'Asia/Tokyo'})
+        .then(function(definition) {
+          assert.equal('Asia/Tokyo', definition.tz, 'should store the tz');
+          assert.notProperty(definition.opts, 'tz',
+            'tz should not be a job option');
+          assert.equal(0, new Date(definition.nextRun).getUTCHours(),
+            '09:00 in Tokyo should be 00:00 UTC');
+          done();
+        }).otherwise(done);
+    });
+
+    test('6.9.3 Occurrences get created once by many schedulers', function(done) {
+      var instance = kickq.createInstance({redisNamespace: tester.NS});
+      var processed = [];
+      function worker(job, data, cb) {
+        processed.push(job.id);
+        cb();
+      }
+      kickq.process('recurring-once 6.9.3', worker);
+      instance.process('recurring-once 6.9.3', worker);
+      kickq.every('recurring-once 6.9.3', '* * * * * *').otherwise(done);
+
+      setTimeout(function() {
+        instance.reset();
+        assert.ok(0 < processed.length, 'occurrences should get processed');
+        assert.ok(3 >= processed.length,
+          'each occurrence should be created once, got: ' + processed.length);
+        done();
+      }, 2500);
+    });
+
+    test('6.9.4 Unschedule removes the recurring definition', function(done) {
+      kickq.every('recurring-remove 6.9.4', '*/5 * * * *').then(function() {
+        return kickq.unschedule('recurring-remove 6.9.4');
+      }).then(function(removed) {
+        assert.isTrue(removed, 'should report the removal');
+        return kickq.upcoming({name: 'recurring-remove 6.9.4'});
+      }).then(function(occurrences) {
+        assert.lengthOf(occurrences, 0, 'should have no occurrences');
+        return kickq.unschedule('recurring-remove 6.9.4');
+      }).then(function(removed) {
+        assert.isFalse(removed, 'nothing left to remove');
+        done();
+      }).otherwise(done);
+    });
+
+    test('6.9.5 Invalid cron expressions throw', function() {
+      assert.throws(function() {
+        kickq.every('recurring-invalid 6.9.5', 'every minute');
+      }, TypeError);
+    });
+
+    test('6.9.6 Recurring data goes through the serializer', function(done) {
+      kickq.config('serializer', 'extended');
+      var data = {when: new Date(1000)};
+      kickq.process('recurring-serializer 6.9.6', function(job, data, cb) {
+        assert.instanceOf(data.when, Date, '"data.when" should be a Date');
+        assert.equal(1000, data.when.getTime(), 'should keep the time');
+        kickq.unschedule('recurring-serializer 6.9.6');
+        cb(null, done);
+      });
+      kickq.every('recurring-serializer 6.9.6', '* * * * * *', data)
+        .otherwise(done);
+    });
+
+    test('6.9.7 Definitions that fail to parse get unscheduled',
+      function(done) {
+      var client = tester.rBuster.client;
+      var name = 'recurring-broken 6.9.7';
+      client.multi()
+        .hset(tester.NS + ':recurring', name, '{not json')
+        .zadd(tester.NS + ':recurring-next', Date.now(), name)
+        .exec(function(err) {
+          if (err) {
+            return done(err);
+          }
+          kickq.upcoming().then(function(occurrences) {
+            assert.lengthOf(occurrences, 0, 'should have no occurrences');
+            setTimeout(function() {
+              client.zscore(tester.NS + ':recurring-next', name,
+                function(err, score) {
+                assert.isNull(score, 'the next occurrence should be removed');
+                done(err);
+              });
+            }, 50);
+          }).otherwise(done);
+        });
+    });
+  });
+});
@@ -8,6 +8,7 @@ var assert = require('chai').assert;
 var kickq = require('../../');
 var tester = require('../lib/tester');
 var jobItem = require('./jobItem.test');
+var RateLimitModel = require('../../lib/model/ratelimit.model');
 var when   = require('when');
 
 var noop = function(){};
@@ -78,6 +79,720 @@ suite('2.0 Job Processing', function() {
     when.all(jobPromises).then(startProcess);
   });
 
+  test('2.0.3 Higher priority jobs get processed first', function(done) {
+    var jobPromises = [
+      kickq.create('process-test-priority', 'low', {priority: 'low'}),
+      kickq.create('process-test-priority', 'normal'),
+      kickq.create('process-test-priority', 'critical', {priority: 'critical'}),
+      kickq.create('process-test-priority', 'high', {priority: 'high'})
+    ];
+
+    var processed = [];
+    when.all(jobPromises).then(function() {
+      kickq.process('process-test-priority', function(job, data, cb) {
+        processed.push(data);
+        cb();
+        if (4 === processed.length) {
+          assert.deepEqual(['critical', 'high', 'normal', 'low'], processed,
+            'jobs should be processed by priority');
+          done();
+        }
+      });
+    }).otherwise(done);
+  });
+
+  suite('2.1 Job Dependencies', function() {
+    test('2.1.1 A job waits until its parents succeed', function(done) {
+      var parentIds;
+      var childId;
+      when.all([
+        kickq.create('process-depends-parent 2.1.1', 'one'),
+        kickq.create('process-depends-parent 2.1.1', 'two')
+      ]).then(function(parents) {
+        parentIds = parents.map(function(job) { return job.id; });
+        return kickq.create('process-depends-child 2.1.1', null,
+          {dependsOn: parentIds});
+      }).then(function(child) {
+        childId = child.id;
+        assert.equal(kickq.states.Job.WAITING, child.state,
+          'child should be "waiting"');
+
+        kickq.process('process-depends-child 2.1.1', function(job, data, cb) {
+          cb();
+          assert.equal(childId, job.id, 'should process the child job');
+          done();
+        });
+        kickq.process('process-depends-parent 2.1.1', function(job, data, cb) {
+          kickq.get(childId).then(function(jobItem) {
+            assert.equal(kickq.states.Job.WAITING, jobItem.state,
+              'child should wait while a parent is processing');
+            cb();
+          }).otherwise(done);
+        });
+      }).otherwise(done);
+    });
+
+    test('2.1.2 A job fails when a parent finally fails', function(done) {
+      var childId;
+      kickq.create('process-depends-parent 2.1.2').then(function(parent) {
+        return kickq.create('process-depends-child 2.1.2', null,
+          {dependsOn: [parent.id]});
+      }).then(function(child) {
+        childId = child.id;
+        kickq.process('process-depends-parent 2.1.2', function(job, data, cb) {
+          cb('parent error');
+          setTimeout(function() {
+            kickq.get(childId).then(function(jobItem) {
+              assert.equal(kickq.states.Job.FAIL, jobItem.state,
+                'child should have failed');
+              assert.equal('Parent job ' + job.id + ' failed',
+                jobItem.lastError, 'lastError should name the parent');
+              done();
+            }).otherwise(done);
+          }, 100);
+        });
+      }).otherwise(done);
+    });
+
+    test('2.1.3 A job with a missing parent fails at once', function(done) {
+      kickq.create('process-depends-child 2.1.3', null,
+        {dependsOn: ['missing-parent']}).then(function(child) {
+        assert.equal(kickq.states.Job.FAIL, child.state,
+          'child should have failed');
+        assert.equal('Parent job missing-parent does not exist',
+          child.lastError, 'lastError should name the parent');
+        done();
+      }).otherwise(done);
+    });
+
+    test('2.1.4 Invalid dependsOn values throw', function() {
+      assert.throws(function() {
+        kickq.create('process-depends-child 2.1.4', null, {dependsOn: '1'});
+      }, TypeError);
+      assert.throws(function() {
+        kickq.create('process-depends-child 2.1.4', null, {dependsOn: [1]});
+      }, TypeError);
+    });
+  });
+
+  suite('2.2 Rate Limits', function() {
+    test('2.2.1 Jobs over the limit wait for the next window', function(done) {
+      this.timeout(5000);
+      kickq.config('jobFlags', {'process-ratelimit 2.2.1': {
+        rateLimit: {max: 2, duration: 1000}
+      }});
+
+      var processed = 0;
+      var jobPromises = [];
+      for (var i = 0; i < 4; i++) {
+        jobPromises.push(kickq.create('process-ratelimit 2.2.1'));
+      }
+
+      when.all(jobPromises).then(function() {
+        kickq.process('process-ratelimit 2.2.1', {concurrentJobs: 4},
+          function(job, data, cb) {
+          processed++;
+          cb();
+          if (4 === processed) {
+            done();
+          }
+        });
+
+        setTimeout(function() {
+          assert.equal(2, processed, 'only 2 jobs should process in the' +
+            ' first window');
+        }, 700);
+      }).otherwise(done);
+    });
+
+    test('2.2.2 Grouped limits do not hold back other groups', function(done) {
+      this.timeout(5000);
+      kickq.config('jobFlags', {'process-ratelimit 2.2.2': {
+        rateLimit: {max: 1, duration: 1000, groupBy: 'account'}
+      }});
+
+      var accounts = [];
+      when.all([
+        kickq.create('process-ratelimit 2.2.2', {account: 'one'}),
+        kickq.create('process-ratelimit 2.2.2', {account: 'one'}),
+        kickq.create('process-ratelimit 2.2.2', {account: 'two'})
+      ]).then(function() {
+        kickq.process('process-ratelimit 2.2.2', function(job, data, cb) {
+          accounts.push(data.account);
+          cb();
+        });
+
+        setTimeout(function() {
+          assert.sameMembers(['one', 'two'], accounts, 'one job of each' +
+            ' account should process in the first window');
+          done();
+        }, 700);
+      }).otherwise(done);
+    });
+
+    test('2.2.3 Rate limited is not an error of the job', function(done) {
+      this.timeout(5000);
+      kickq.config('jobFlags', {'process-ratelimit 2.2.3': {
+        rateLimit: {max: 1, duration: 500}
+      }});
+
+      var jobIds;
+      when.all([
+        kickq.create('process-ratelimit 2.2.3'),
+        kickq.create('process-ratelimit 2.2.3')
+      ]).then(function(jobs) {
+        jobIds = jobs.map(function(job) { return job.id; });
+        var processed = 0;
+        kickq.process('process-ratelimit 2.2.3', function(job, data, cb) {
+          cb();
+          if (2 !== ++processed) {
+            return;
+          }
+          setTimeout(function() {
+            when.all(jobIds.map(function(jobId) {
+              return kickq.get(jobId);
+            })).then(function(jobItems) {
+              jobItems.forEach(function(jobItem) {
+                assert.equal(kickq.states.Job.SUCCESS, jobItem.state,
+                  'job should have succeeded');
+                assert.equal(1, jobItem.runs.length, 'job should run once');
+              });
+              done();
+            }).otherwise(done);
+          }, 100);
+        });
+      }).otherwise(done);
+    });
+
+    test('2.2.4 Delayed grouped jobs keep their options', function(done) {
+      kickq.config('jobFlags', {'process-ratelimit 2.2.4': {
+        rateLimit: {max: 1, duration: 1000, groupBy: 'account'}
+      }});
+
+      var jobIds;
+      when.all([
+        kickq.create('process-ratelimit 2.2.4', {account: 'one'}),
+        kickq.create('process-ratelimit 2.2.4', {account: 'one'})
+      ]).then(function(jobs) {
+        jobIds = jobs.map(function(job) { return job.id; });
+        kickq.process('process-ratelimit 2.2.4', function(job, data, cb) {
+          cb();
+        });
+
+        setTimeout(function() {
+          kickq.get(jobIds[1]).then(function(jobItem) {
+            assert.equal(kickq.states.Job.DELAYED, jobItem.state,
+              'job should be delayed');
+            assert.isNull(jobItem.runAt, '"runAt" should not be set');
+            assert.isNumber(jobItem.scheduledFor, '"scheduledFor" should be' +
+              ' set');
+            done();
+          }).otherwise(done);
+        }, 300);
+      }).otherwise(done);
+    });
+
+    test('2.2.5 A job survives a failed rate limit check', function(done) {
+      kickq.config('jobFlags', {'process-ratelimit 2.2.5': {
+        rateLimit: {max: 10, duration: 1000}
+      }});
+      var stub = sinon.stub(RateLimitModel.prototype, 'acquire', function() {
+        stub.restore();
+        return when.reject(new kickq.Error.Database('redis down'));
+      });
+
+      kickq.create('process-ratelimit 2.2.5').then(function(job) {
+        kickq.process('process-ratelimit 2.2.5', function(processJob, data,
+          cb) {
+          assert.equal(job.id, processJob.id, 'the job should be processed');
+          cb(null, done);
+        });
+      }).otherwise(done);
+    });
+  });
+
+  suite('2.3 Global Concurrency', function() {
+    test('2.3.1 Jobs process one at a time across workers', function(done) {
+      this.timeout(5000);
+      kickq.config('jobFlags', {'process-concurrency 2.3.1': {
+        globalConcurrency: 1
+      }});
+
+      var running = 0;
+      var maxRunning = 0;
+      var processed = 0;
+      var consumer = function(job, data, cb) {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        setTimeout(function() {
+          running--;
+          cb();
+          if (3 !== ++processed) {
+            return;
+          }
+          assert.equal(1, maxRunning, 'only one job should process at a time');
+          done();
+        }, 100);
+      };
+
+      when.all([
+        kickq.create('process-concurrency 2.3.1'),
+        kickq.create('process-concurrency 2.3.1'),
+        kickq.create('process-concurrency 2.3.1')
+      ]).then(function() {
+        kickq.process('process-concurrency 2.3.1', {concurrentJobs: 2},
+          consumer);
+        kickq.process('process-concurrency 2.3.1', {concurrentJobs: 2},
+          consumer);
+      }).otherwise(done);
+    });
+
+    test('2.3.2 A timed out job releases its slot', function(done) {
+      this.timeout(5000);
+      kickq.config('jobFlags', {'process-concurrency 2.3.2': {
+        globalConcurrency: 1
+      }});
+
+      var firstId;
+      var firstStarted = false;
+      when.all([
+        kickq.create('process-concurrency 2.3.2', 'one', {processTimeout: 300}),
+        kickq.create('process-concurrency 2.3.2', 'two', {processTimeout: 300})
+      ]).then(function(jobs) {
+        firstId = jobs[0].id;
+        kickq.process('process-concurrency 2.3.2', {concurrentJobs: 2},
+          function(job, data, cb) {
+          // the first job never reports back
+          if (firstId === job.id) {
+            firstStarted = true;
+            return;
+          }
+          assert.ok(firstStarted, 'the first job should have started first');
+          cb();
+          done();
+        });
+      }).otherwise(done);
+    });
+  });
+
+  suite('2.4 Progress', function() {
+    test('2.4.1 Progress is stored on the job', function(done) {
+      kickq.create('process-progress 2.4.1').then(function(job) {
+        kickq.process('process-progress 2.4.1', function(job, data, cb) {
+          assert.isFunction(job.progress, 'job should have a "progress"' +
+            ' function');
+          assert.notInclude(Object.keys(job), 'progress',
+            '"progress" should not be enumerable');
+          job.progress(50, 'half way').then(function() {
+            return kickq.get(job.id);
+          }).then(function(jobItem) {
+            assert.equal(50, jobItem.progress.percent, 'percent should be stored');
+            assert.equal('half way', jobItem.progress.message,
+              'message should be stored');
+            assert.isNumber(jobItem.progress.time, 'time should be stored');
+            cb();
+            done();
+          }).otherwise(done);
+        });
+      }).otherwise(done);
+    });
+
+    test('2.4.2 Invalid percent values throw', function(done) {
+      kickq.create('process-progress 2.4.2').then(function() {
+        kickq.process('process-progress 2.4.2', function(job, data, cb) {
+          assert.throws(function() { job.progress(101); }, TypeError);
+          assert.throws(function() { job.progress('50'); }, TypeError);
+          cb();
+          done();
+        });
+      }).otherwise(done);
+    });
+
+    test('2.4.3 The hotjob promise notifies progress', function(done) {
+      kickq.create('process-progress 2.4.3', null, {hotjob: true})
+        .then(function(job) {
+        var notified = [];
+        job.hotjobPromise.then(function() {
+          assert.deepEqual([25, 75], notified, 'should notify each progress');
+          done();
+        }, done, function(publicJobItem) {
+          notified.push(publicJobItem.progress.percent);
+        });
+
+        kickq.process('process-progress 2.4.3', function(job, data, cb) {
+          job.progress(25)
+            .then(function() { return job.progress(75); })
+            .then(function() { cb(); });
+        });
+      }).otherwise(done);
+    });
+  });
+
+  suite('2.5 Job Logs', function() {
+    test('2.5.1 Consumer log lines are stored with the job', function(done) {
+      var jobId;
+      kickq.create('process-logs 2.5.1').then(function(job) {
+        jobId = job.id;
+        kickq.process('process-logs 2.5.1', function(job, data, cb) {
+          assert.isFunction(job.log, 'job should have a "log" function');
+          job.log('step %d of %d', 1, 3);
+          job.log('step', 2);
+          job.log('step 3').then(function() {
+            cb();
+            return kickq.getLogs(jobId);
+          }).then(function(lines) {
+            assert.lengthOf(lines, 3, 'should have all the lines');
+            assert.equal('step 1 of 3', lines[0].message,
+              'lines should be formatted');
+            assert.equal('step 2', lines[1].message, 'lines should be in order');
+            assert.isNumber(lines[0].time, 'lines should be timestamped');
+            assert.isNull(lines[0].logger, 'consumer lines have no logger');
+            return kickq.getLogs(jobId, {offset: 1, limit: 1});
+          }).then(function(lines) {
+            assert.lengthOf(lines, 1, 'should respect the limit');
+            assert.equal('step 2', lines[0].message, 'should respect the offset');
+            done();
+          }).otherwise(done);
+        });
+      }).otherwise(done);
+    });
+
+    test('2.5.2 The log of a job is capped', function(done) {
+      kickq.config('jobLogMax', 2);
+      kickq.create('process-logs 2.5.2').then(function(job) {
+        kickq.process('process-logs 2.5.2', function(job, data, cb) {
+          when.all([
+            job.log('one'),
+            job.log('two'),
+            job.log('three')
+          ]).then(function() {
+            cb();
+            return kickq.getLogs(job.id);
+          }).then(function(lines) {
+            assert.deepEqual(['two', 'three'], lines.map(function(line) {
+              return line.message;
+            }), 'the oldest lines should be dropped');
+            done();
+          }).otherwise(done);
+        });
+      }).otherwise(done);
+    });
+
+    test('2.5.3 Deleting a job deletes its log', function(done) {
+      var jobId;
+      kickq.create('process-logs 2.5.3').then(function(job) {
+        jobId = job.id;
+        kickq.process('process-logs 2.5.3', function(job, data, cb) {
+          job.log('line').then(function() {
+            cb();
+            setTimeout(function() {
+              kickq.delete(jobId).then(function() {
+                return kickq.getLogs(jobId);
+              }).then(function(lines) {
+                assert.lengthOf(lines, 0, 'the log should be deleted');
+                done();
+              }).otherwise(done);
+            }, 100);
+          }).otherwise(done);
+        });
+      }).otherwise(done);
+    });
+
+    test('2.5.4 Logger records are captured while the job runs', function(done) {
+      kickq.config('jobFlags', {'process-logs 2.5.4': {jobLogCapture: true}});
+      var logger = kickq.logg.getLogger('test.process-logs');
+
+      var jobId;
+      kickq.create('process-logs 2.5.4').then(function(job) {
+        jobId = job.id;
+        kickq.process('process-logs 2.5.4', function(job, data, cb) {
+          logger.warn('captured record');
+          cb();
+          setTimeout(function() {
+            kickq.getLogs(jobId).then(function(lines) {
+              var captured = lines.filter(function(line) {
+                return 'test.process-logs' === line.logger;
+              });
+              assert.lengthOf(captured, 1, 'the record should be captured');
+              assert.include(captured[0].message, 'captured record',
+                'the record message should be stored');
+              lines.forEach(function(line) {
+                assert.notEqual(0, String(line.logger).indexOf('kickq.'),
+                  'kickq records should not be captured');
+              });
+              done();
+            }).otherwise(done);
+          }, 100);
+        });
+      }).otherwise(done);
+    });
+  });
+
+  suite('2.6 Job Expiry', function() {
+    test('2.6.1 An expired job is skipped by the worker', function(done) {
+      var expiredId;
+      kickq.create('process-expiry 2.6.1', 'expired', {expireAfter: 20})
+        .then(function(job) {
+        expiredId = job.id;
+        assert.isNumber(job.deadline, 'job should have a deadline');
+        setTimeout(function() {
+          kickq.create('process-expiry 2.6.1', 'fresh').then(function() {
+            kickq.process('process-expiry 2.6.1', function(job, data, cb) {
+              assert.equal('fresh', data, 'only the fresh job should process');
+              cb();
+              kickq.get(expiredId).then(function(jobItem) {
+                assert.equal(kickq.states.Job.EXPIRED, jobItem.state,
+                  'job should be "expired"');
+                assert.isTrue(jobItem.complete, 'job should be complete');
+                assert.equal('Job expired', jobItem.lastError,
+                  'lastError should be set');
+                done();
+              }).otherwise(done);
+            });
+          }).otherwise(done);
+        }, 50);
+      }).otherwise(done);
+    });
+
+    test('2.6.2 The sweeper expires queued jobs', function(done) {
+      kickq.config({
+        schedulerInterval: 100,
+        schedulerFuzz: 50
+      });
+      kickq.create('process-expiry 2.6.2', null, {deadline: Date.now() + 50})
+        .then(function(job) {
+        // only to start the scheduler
+        kickq.process('process-expiry-other 2.6.2', noop);
+        setTimeout(function() {
+          when.all([
+            kickq.get(job.id),
+            kickq.stats('process-expiry 2.6.2')
+          ]).then(function(results) {
+            assert.equal(kickq.states.Job.EXPIRED, results[0].state,
+              'job should be "expired"');
+            assert.equal(0, results[1].queued, '"queued" should be 0');
+            assert.equal(1, results[1].expired, '"expired" should be 1');
+            done();
+          }).otherwise(done);
+        }, 500);
+      }).otherwise(done);
+    });
+
+    test('2.6.3 Invalid expiry options throw', function() {
+      assert.throws(function() {
+        kickq.create('process-expiry 2.6.3', null, {expireAfter: -1});
+      }, TypeError);
+      assert.throws(function() {
+        kickq.create('process-expiry 2.6.3', null, {deadline: 'tomorrow'});
+      }, TypeError);
+    });
+  });
+
+  suite('2.7 Job Results', function() {
+    test('2.7.1 The callback result is stored on the job', function(done) {
+      kickq.create('process-result 2.7.1').then(function(job) {
+        kickq.process('process-result 2.7.1', function(job, data, cb) {
+          cb(null, {encoded: ['a', 'b']}, function() {
+            kickq.get(job.id).then(function(jobItem) {
+              assert.deepEqual({encoded: ['a', 'b']}, jobItem.result,
+                '"result" should be stored');
+              done();
+            }).otherwise(done);
+          });
+        });
+      }).otherwise(done);
+    });
+
+    test('2.7.2 A resolved promise is the result', function(done) {
+      var jobId;
+      kickq.create('process-result 2.7.2').then(function(job) {
+        jobId = job.id;
+        kickq.process('process-result 2.7.2', function() {
+          return when.resolve('done');
+        });
+        setTimeout(function() {
+          kickq.get(jobId).then(function(jobItem) {
+            assert.equal(kickq.states.Job.SUCCESS, jobItem.state,
+              'job should have succeeded');
+            assert.equal('done', jobItem.result, '"result" should be stored');
+            done();
+          }).otherwise(done);
+        }, 200);
+      }).otherwise(done);
+    });
+
+    test('2.7.3 A failed job has no result', function(done) {
+      kickq.create('process-result 2.7.3').then(function(job) {
+        kickq.process('process-result 2.7.3', function(job, data, cb) {
+          cb('error', 'ignored', function() {
+            kickq.get(job.id).then(function(jobItem) {
+              assert.isNull(jobItem.result, '"result" should be null');
+              done();
+            }).otherwise(done);
+          });
+        });
+      }).otherwise(done);
+    });
+
+    test('2.7.3.1 A rejected promise fails the job', function(done) {
+      var jobId;
+      kickq.create('process-result 2.7.3.1').then(function(job) {
+        jobId = job.id;
+        kickq.process('process-result 2.7.3.1', function() {
+          return when.reject(new Error('consumer failed'));
+        });
+        setTimeout(function() {
+          kickq.get(jobId).then(function(jobItem) {
+            assert.notEqual(kickq.states.Job.SUCCESS, jobItem.state,
+              'job should not have succeeded');
+            assert.equal('consumer failed', jobItem.lastError,
+              '"lastError" should be the error message');
+            assert.isNull(jobItem.result, '"result" should be null');
+            done();
+          }).otherwise(done);
+        }, 200);
+      }).otherwise(done);
+    });
+
+    test('2.7.4 A promise resolving to a function is not a callback',
+      function(done) {
+      var jobId;
+      var invoked = false;
+      kickq.create('process-result 2.7.4').then(function(job) {
+        jobId = job.id;
+        kickq.process('process-result 2.7.4', function() {
+          return when.resolve(function() {
+            invoked = true;
+          });
+        });
+        setTimeout(function() {
+          kickq.get(jobId).then(function(jobItem) {
+            assert.equal(kickq.states.Job.SUCCESS, jobItem.state,
+              'job should have succeeded');
+            assert.isFalse(invoked, 'the result should not be invoked');
+            done();
+          }).otherwise(done);
+        }, 200);
+      }).otherwise(done);
+    });
+
+    test('2.7.5 The cb(err, done) form still works', function(done) {
+      kickq.create('process-result 2.7.5').then(function(job) {
+        kickq.process('process-result 2.7.5', function(job, data, cb) {
+          cb(null, function() {
+            kickq.get(job.id).then(function(jobItem) {
+              assert.equal(kickq.states.Job.SUCCESS, jobItem.state,
+                'job should have succeeded');
+              assert.isNull(jobItem.result, '"result" should be null');
+              done();
+            }).otherwise(done);
+          });
+        });
+      }).otherwise(done);
+    });
+  });
+
+  suite('2.8 Dead Letters', function() {
+    test('2.8.1 Finally failed jobs go to the dead letters', function(done) {
+      kickq.config('jobFlags', {'process-dead 2.8.1': {deadLetter: true}});
+
+      var jobId;
+      kickq.create('process-dead 2.8.1', 'dead data').then(function(job) {
+        jobId = job.id;
+        kickq.process('process-dead 2.8.1', function(job, data, cb) {
+          cb('error');
+          setTimeout(function() {
+            kickq.deadLetters('process-dead 2.8.1').then(function(jobs) {
+              assert.lengthOf(jobs, 1, 'should have one dead letter');
+              assert.equal(jobId, jobs[0].id, 'should be the failed job');
+              assert.equal(kickq.states.Job.FAIL, jobs[0].state,
+                'dead letter should be failed');
+              assert.isNull(jobs[0].scheduledFor,
+                'dead letter should not be scheduled for purging');
+              done();
+            }).otherwise(done);
+          }, 100);
+        });
+      }).otherwise(done);
+    });
+
+    test('2.8.2 Replayed jobs run afresh', function(done) {
+      kickq.config('jobFlags', {'process-dead 2.8.2': {deadLetter: true}});
+
+      var failed = false;
+      kickq.create('process-dead 2.8.2').then(function() {
+        kickq.process('process-dead 2.8.2', function(job, data, cb) {
+          if (failed) {
+            assert.lengthOf(job.runs, 1, 'the replay should be a fresh run');
+            cb();
+            setTimeout(function() {
+              kickq.deadLetters('process-dead 2.8.2').then(function(jobs) {
+                assert.lengthOf(jobs, 0, 'the dead letters should be empty');
+                done();
+              }).otherwise(done);
+            }, 100);
+            return;
+          }
+          failed = true;
+          cb('error');
+          setTimeout(function() {
+            kickq.replay('process-dead 2.8.2').then(function(jobs) {
+              assert.lengthOf(jobs, 1, 'should replay the dead letter');
+            }).otherwise(done);
+          }, 100);
+        });
+      }).otherwise(done);
+    });
+
+    test('2.8.3 Replay respects filter and limit', function(done) {
+      kickq.config('jobFlags', {'process-dead 2.8.3': {deadLetter: true}});
+
+      var jobPromises = [];
+      for (var i = 0; i < 4; i++) {
+        jobPromises.push(kickq.create('process-dead 2.8.3', {index: i}));
+      }
+
+      var count = 0;
+      when.all(jobPromises).then(function() {
+        kickq.process('process-dead 2.8.3', function(job, data, cb) {
+          cb('error');
+          if (4 > ++count) {
+            return;
+          }
+          setTimeout(function() {
+            kickq.replay('process-dead 2.8.3', {
+              filter: function(job) {
+                return 0 < job.data.index;
+              },
+              limit: 2
+            }).then(function(jobs) {
+              assert.lengthOf(jobs, 2, 'should replay up to the limit');
+              jobs.forEach(function(job) {
+                assert.operator(job.data.index, '>', 0,
+                  'should replay the filtered jobs');
+              });
+              done();
+            }).otherwise(done);
+          }, 100);
+        });
+      }).otherwise(done);
+    });
+
+    test('2.8.4 Jobs without the option are not dead letters', function(done) {
+      kickq.create('process-dead 2.8.4').then(function() {
+        kickq.process('process-dead 2.8.4', function(job, data, cb) {
+          cb('error');
+          setTimeout(function() {
+            kickq.deadLetters('process-dead 2.8.4').then(function(jobs) {
+              assert.lengthOf(jobs, 0, 'should have no dead letters');
+              done();
+            }).otherwise(done);
+          }, 100);
+        });
+      }).otherwise(done);
+    });
+  });
+
   //
   // TODO when we expose a .get() method so we can fetch the job and examine it
   //
@@ -126,6 +126,40 @@ suite('5. Kickq Redis Published Messages', function() {
     kickq.create('channels-test-delete');
     kickq.process('channels-test-delete', function(jobItem, data, cb) {cb();});
   });
+  test('5.0.7 PROGRESS Job Channel', function(done) {
+
+    client.on('message', function(channel, message){
+      assert.equal(tester.NS + ':progress', channel, 'Channel should be the right one');
+      var jobItem = JSON.parse(message);
+      assert.equal('channels-test-progress', jobItem.name, 'jobItem should have same name (queue)');
+      assert.equal(40, jobItem.progress.percent, 'jobItem should have the progress percent');
+      assert.equal('encoding', jobItem.progress.message, 'jobItem should have the progress message');
+      done();
+    });
+    client.subscribe(tester.NS + ':progress');
+
+    kickq.create('channels-test-progress');
+    kickq.process('channels-test-progress', function(jobItem, data, cb) {
+      jobItem.progress(40, 'encoding');
+      cb();
+    });
+  });
+  test('5.0.8 EXPIRED Job Channel', function(done) {
+
+    client.on('message', function(channel, message){
+      assert.equal(tester.NS + ':expired', channel, 'Channel should be the right one');
+      var jobItem = JSON.parse(message);
+      assert.equal('channels-test-expired', jobItem.name, 'jobItem should have same name (queue)');
+      assert.equal('expired', jobItem.state, 'jobItem state should be expired');
+      done();
+    });
+    client.subscribe(tester.NS + ':expired');
+
+    kickq.create('channels-test-expired', null, {expireAfter: 10});
+    setTimeout(function() {
+      kickq.process('channels-test-expired', function(jobItem, data, cb) {cb();});
+    }, 50);
+  });
 
 });
 